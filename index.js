@@ -4,6 +4,13 @@ import dotenv from "dotenv";
 import mongoose from "mongoose";
 import multer from "multer";
 import { v2 as cloudinary } from "cloudinary";
+import bcrypt from "bcryptjs";
+import jwt from "jsonwebtoken";
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { Marked } from "marked";
+import sanitizeHtml from "sanitize-html";
 
 dotenv.config();
 
@@ -19,18 +26,62 @@ app.set("trust proxy", 1);
 =========================================================================================
 */
 
-// Cloudinary Configuration
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
+// Media Storage Configuration
+// STORAGE_DRIVER is "cloudinary" or "local"; without it, Cloudinary is used
+// when configured and local disk otherwise. The local driver is meant for
+// development and offline runs (Vercel's filesystem is read-only).
+const STORAGE_DRIVER =
+  process.env.STORAGE_DRIVER ||
+  (process.env.CLOUDINARY_CLOUD_NAME ? "cloudinary" : "local");
+const LOCAL_UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || "uploads");
+const LOCAL_UPLOAD_ROUTE = "/uploads";
+// Prefix for local file URLs, e.g. https://api.example.com in production
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || "").replace(/\/+$/, "");
+
+if (!["cloudinary", "local"].includes(STORAGE_DRIVER)) {
+  throw new Error(
+    `Unknown STORAGE_DRIVER "${STORAGE_DRIVER}" (expected cloudinary or local)`
+  );
+}
 
-console.log("☁️  Cloudinary Config:", {
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY ? "✓ Set" : "✗ Missing",
-  api_secret: process.env.CLOUDINARY_API_SECRET ? "✓ Set" : "✗ Missing",
-});
+if (STORAGE_DRIVER === "cloudinary") {
+  cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET,
+  });
+
+  console.log("☁️  Cloudinary Config:", {
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY ? "✓ Set" : "✗ Missing",
+    api_secret: process.env.CLOUDINARY_API_SECRET ? "✓ Set" : "✗ Missing",
+  });
+} else {
+  console.log(`💾 Storing uploads on local disk in ${LOCAL_UPLOAD_DIR}`);
+}
+
+// JWT Configuration
+const JWT_SECRET = process.env.JWT_SECRET;
+const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || JWT_SECRET;
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "15m";
+const JWT_REFRESH_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || "7d";
+
+if (!JWT_SECRET) {
+  console.warn("⚠️  JWT_SECRET is not set. Authentication will not work.");
+}
+
+// Public sign-up is closed unless ALLOW_REGISTRATION=true. The first admin
+// is created through POST /api/auth/bootstrap with ADMIN_BOOTSTRAP_SECRET.
+const ALLOW_REGISTRATION = process.env.ALLOW_REGISTRATION === "true";
+const ADMIN_BOOTSTRAP_SECRET = process.env.ADMIN_BOOTSTRAP_SECRET;
+
+// Shared secret Vercel Cron sends as a Bearer token to /api/cron/* routes
+const CRON_SECRET = process.env.CRON_SECRET;
+
+// Anonymous visitor identity (used for likes)
+const VISITOR_SECRET = process.env.VISITOR_SECRET || JWT_SECRET;
+const VISITOR_COOKIE_NAME = "fq_visitor";
+const VISITOR_TOKEN_MAX_AGE = 365 * 24 * 60 * 60 * 1000; // 1 year
 
 // CORS Configuration - Simplified for Vercel
 // This allows all origins to prevent deployment issues
@@ -39,7 +90,12 @@ app.use(
     origin: true, // Reflects the request origin, allowing all
     credentials: true,
     methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"],
+    allowedHeaders: [
+      "Content-Type",
+      "Authorization",
+      "X-Requested-With",
+      "X-Visitor-Token",
+    ],
     optionsSuccessStatus: 204,
   })
 );
@@ -48,6 +104,14 @@ app.use(
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
+// Serve locally stored uploads
+if (STORAGE_DRIVER === "local") {
+  app.use(
+    LOCAL_UPLOAD_ROUTE,
+    express.static(LOCAL_UPLOAD_DIR, { maxAge: "7d" })
+  );
+}
+
 // Request logging middleware
 app.use((req, res, next) => {
   const start = Date.now();
@@ -136,7 +200,98 @@ connectDB();
 =========================================================================================
 */
 
+// Soft delete: trashed documents get a deletedAt and are hidden from every
+// query, unless the filter names deletedAt itself (trash views) or the query
+// sets { withDeleted: true } (e.g. slug uniqueness checks)
+const softDeletePlugin = (schema) => {
+  schema.add({ deletedAt: { type: Date, default: null, index: true } });
+
+  schema.pre(
+    [
+      "find",
+      "findOne",
+      "countDocuments",
+      "findOneAndUpdate",
+      "updateOne",
+      "updateMany",
+    ],
+    function (next) {
+      if (
+        !this.getOptions().withDeleted &&
+        !("deletedAt" in this.getFilter())
+      ) {
+        this.where({ deletedAt: null });
+      }
+      next();
+    }
+  );
+
+  schema.pre("aggregate", function (next) {
+    const [firstStage] = this.pipeline();
+
+    // $text has to stay in the first stage, so merge into a leading $match
+    if (firstStage?.$match) {
+      if (!("deletedAt" in firstStage.$match))
+        firstStage.$match.deletedAt = null;
+    } else {
+      this.pipeline().unshift({ $match: { deletedAt: null } });
+    }
+    next();
+  });
+};
+
+// Size and responsive versions of a stored image (see toImageVariants)
+const imageVariantsSchema = new mongoose.Schema(
+  {
+    width: Number,
+    height: Number,
+    thumbnail: String,
+    medium: String,
+    large: String,
+    placeholder: String,
+  },
+  { _id: false }
+);
+
+// Gallery item (ordered screenshots on articles and projects)
+const MAX_GALLERY_ITEMS = 20;
+
+const galleryItemSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+  },
+  publicId: {
+    type: String,
+    required: true,
+  },
+  variants: imageVariantsSchema,
+  caption: {
+    type: String,
+    trim: true,
+    maxlength: [300, "Caption must not exceed 300 characters"],
+    default: "",
+  },
+  alt: {
+    type: String,
+    trim: true,
+    maxlength: [200, "Alt text must not exceed 200 characters"],
+    default: "",
+  },
+});
+
+const galleryField = {
+  type: [galleryItemSchema],
+  default: [],
+  validate: {
+    validator: (items) => items.length <= MAX_GALLERY_ITEMS,
+    message: `A gallery can hold at most ${MAX_GALLERY_ITEMS} images`,
+  },
+};
+
 // Category Model
+const MAX_CATEGORY_DEPTH = 5;
+
 const categorySchema = new mongoose.Schema(
   {
     categoryName: {
@@ -153,6 +308,13 @@ const categorySchema = new mongoose.Schema(
       lowercase: true,
       index: true,
     },
+    // Parent category for nesting (e.g. JavaScript > React); null for roots
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+      index: true,
+    },
     articleCount: {
       type: Number,
       default: 0,
@@ -169,12 +331,17 @@ const categorySchema = new mongoose.Schema(
 // Index for faster queries
 categorySchema.index({ categoryName: 1 });
 
-categorySchema.pre("save", function (next) {
-  if (this.isModified("categoryName")) {
-    this.slug = this.categoryName
-      .toLowerCase()
-      .replace(/[^a-z0-9]+/g, "-")
-      .replace(/(^-|-$)/g, "");
+categorySchema.pre("save", async function (next) {
+  if (this.isModified("categoryName") || !this.slug) {
+    try {
+      this.slug = await generateUniqueSlug(
+        Category,
+        this.categoryName,
+        this._id
+      );
+    } catch (error) {
+      return next(error);
+    }
   }
   next();
 });
@@ -182,12 +349,17 @@ categorySchema.pre("save", function (next) {
 const Category = mongoose.model("Category", categorySchema);
 
 // Article Model
+const ARTICLE_STATUSES = ["draft", "scheduled", "published", "archived"];
+const MAX_ARTICLE_TAGS = 10;
+const MAX_CONTENT_LENGTH = 100000;
+const MAX_TAG_LENGTH = 30;
+
 const articleSchema = new mongoose.Schema(
   {
     category: {
-      type: String,
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
       required: [true, "Category is required"],
-      trim: true,
       index: true,
     },
     avatar: {
@@ -195,11 +367,14 @@ const articleSchema = new mongoose.Schema(
       required: [true, "Avatar is required"],
     },
     avatarPublicId: String,
+    avatarVariants: imageVariantsSchema,
     img: {
       type: String,
       required: [true, "Image is required"],
     },
     imgPublicId: String,
+    imgVariants: imageVariantsSchema,
+    gallery: galleryField,
     title: {
       type: String,
       required: [true, "Title is required"],
@@ -218,12 +393,66 @@ const articleSchema = new mongoose.Schema(
       type: String,
       required: [true, "Code is required"],
     },
+    // Long-form Markdown body. contentHtml, toc, wordCount and readingTime
+    // (minutes) are derived from it on save (see renderMarkdown).
+    content: {
+      type: String,
+      maxlength: [
+        MAX_CONTENT_LENGTH,
+        `Content must not exceed ${MAX_CONTENT_LENGTH} characters`,
+      ],
+      default: "",
+    },
+    contentHtml: {
+      type: String,
+      default: "",
+    },
+    toc: [
+      new mongoose.Schema(
+        { level: Number, text: String, anchor: String },
+        { _id: false }
+      ),
+    ],
+    wordCount: {
+      type: Number,
+      default: 0,
+    },
+    readingTime: {
+      type: Number,
+      default: 0,
+    },
+    // Only published articles (and scheduled ones past publishAt) are public
+    status: {
+      type: String,
+      enum: {
+        values: ARTICLE_STATUSES,
+        message: `Status must be one of ${ARTICLE_STATUSES.join(", ")}`,
+      },
+      default: "published",
+    },
+    publishAt: Date,
+    publishedAt: Date,
+    // Normalized topic tags (see normalizeTags)
+    tags: {
+      type: [String],
+      default: [],
+      validate: {
+        validator: (tags) => tags.length <= MAX_ARTICLE_TAGS,
+        message: `An article can have at most ${MAX_ARTICLE_TAGS} tags`,
+      },
+    },
     slug: {
       type: String,
       unique: true,
       lowercase: true,
       index: true,
     },
+    // Previous slugs, kept so old links can be redirected
+    slugHistory: {
+      type: [String],
+      default: [],
+      index: true,
+    },
     views: {
       type: Number,
       default: 0,
@@ -234,9 +463,10 @@ const articleSchema = new mongoose.Schema(
       default: 0,
       min: 0,
     },
-    likedBy: {
-      type: [String],
-      default: [],
+    shares: {
+      type: Number,
+      default: 0,
+      min: 0,
     },
   },
   {
@@ -251,22 +481,221 @@ articleSchema.index({ title: "text", description: "text" });
 articleSchema.index({ category: 1, createdAt: -1 });
 articleSchema.index({ views: -1 });
 articleSchema.index({ likes: -1 });
+articleSchema.index({ shares: -1 });
+articleSchema.index({ tags: 1, createdAt: -1 });
+articleSchema.index({ status: 1, publishAt: 1 });
+
+articleSchema.pre("save", function (next) {
+  if (
+    (this.isNew || this.isModified("status")) &&
+    this.status === "published" &&
+    !this.publishedAt
+  ) {
+    this.publishedAt = new Date();
+  }
+  next();
+});
 
 articleSchema.pre("save", function (next) {
-  if (this.isModified("title")) {
-    const timestamp = Date.now();
-    this.slug =
-      this.title
-        .toLowerCase()
-        .replace(/[^a-z0-9]+/g, "-")
-        .replace(/(^-|-$)/g, "") + `-${timestamp}`;
+  if (this.isModified("content")) {
+    Object.assign(this, renderMarkdown(this.content));
   }
   next();
 });
 
+articleSchema.pre("save", async function (next) {
+  if (!this.isModified("title") && this.slug) return next();
+
+  try {
+    const slug = await generateUniqueSlug(Article, this.title, this._id);
+
+    if (slug !== this.slug) {
+      if (this.slug) this.slugHistory.addToSet(this.slug);
+      this.slugHistory.pull(slug);
+      this.slug = slug;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+articleSchema.plugin(softDeletePlugin);
+
 const Article = mongoose.model("Article", articleSchema);
 
+// Like Model (one document per article/user pair; Article.likes is the counter)
+const likeSchema = new mongoose.Schema(
+  {
+    articleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Article",
+      required: true,
+    },
+    userId: {
+      type: String,
+      required: [true, "User ID is required"],
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// The unique pair is what makes double-liking impossible under concurrency
+likeSchema.index({ articleId: 1, userId: 1 }, { unique: true });
+likeSchema.index({ userId: 1, createdAt: -1 });
+
+const Like = mongoose.model("Like", likeSchema);
+
+// Article View Models
+const VIEW_DEDUPE_WINDOW_SECONDS = 30 * 60; // 30 minutes
+const VIEW_STATS_RANGES = [7, 30, 90];
+
+// Marks that a visitor viewed an article. The TTL index removes the marker
+// once the dedupe window has passed, so a later visit counts again.
+const articleViewSchema = new mongoose.Schema({
+  articleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Article",
+    required: true,
+  },
+  visitorKey: {
+    type: String,
+    required: true,
+  },
+  viewedAt: {
+    type: Date,
+    default: Date.now,
+    expires: VIEW_DEDUPE_WINDOW_SECONDS,
+  },
+});
+
+articleViewSchema.index({ articleId: 1, visitorKey: 1 }, { unique: true });
+
+const ArticleView = mongoose.model("ArticleView", articleViewSchema);
+
+// Per-article view counts bucketed by UTC day ("YYYY-MM-DD")
+const articleDailyViewSchema = new mongoose.Schema({
+  articleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Article",
+    required: true,
+  },
+  date: {
+    type: String,
+    required: true,
+  },
+  views: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+});
+
+articleDailyViewSchema.index({ articleId: 1, date: 1 }, { unique: true });
+
+const ArticleDailyView = mongoose.model(
+  "ArticleDailyView",
+  articleDailyViewSchema
+);
+
+// Share Model
+const SHARE_PLATFORMS = [
+  "facebook",
+  "twitter",
+  "whatsapp",
+  "messenger",
+  "telegram",
+  "linkedin",
+  "reddit",
+  "email",
+  "copy-link",
+  "other",
+];
+
+const shareSchema = new mongoose.Schema(
+  {
+    articleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Article",
+      required: true,
+    },
+    platform: {
+      type: String,
+      required: [true, "Platform is required"],
+      enum: {
+        values: SHARE_PLATFORMS,
+        message: `Platform must be one of ${SHARE_PLATFORMS.join(", ")}`,
+      },
+    },
+    visitorKey: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+shareSchema.index({ articleId: 1, platform: 1 });
+
+const Share = mongoose.model("Share", shareSchema);
+
+// Article Revision Model (snapshot of an article before an edit replaced it)
+const REVISION_FIELDS = [
+  "title",
+  "description",
+  "code",
+  "content",
+  "category",
+  "tags",
+];
+
+const articleRevisionSchema = new mongoose.Schema(
+  {
+    articleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Article",
+      required: true,
+    },
+    revision: {
+      type: Number,
+      required: true,
+    },
+    title: String,
+    description: String,
+    code: String,
+    content: String,
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+    },
+    tags: [String],
+    // Fields the superseding edit changed
+    changedFields: [String],
+    editedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+articleRevisionSchema.index({ articleId: 1, revision: -1 }, { unique: true });
+
+const ArticleRevision = mongoose.model(
+  "ArticleRevision",
+  articleRevisionSchema
+);
+
 // Comment Model
+const COMMENT_STATUSES = ["pending", "approved", "spam", "hidden"];
+// Comments saved before moderation existed have no status and count as approved
+const PUBLIC_COMMENT_STATUSES = ["approved", null];
+const MAX_COMMENT_DEPTH = 3;
+
 const commentSchema = new mongoose.Schema(
   {
     articleId: {
@@ -275,6 +704,29 @@ const commentSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
+    parentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+      default: null,
+      index: true,
+    },
+    // Chain of ancestor ids from the root comment down to the direct parent
+    ancestors: {
+      type: [mongoose.Schema.Types.ObjectId],
+      default: [],
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: {
+        values: COMMENT_STATUSES,
+        message: `Status must be one of ${COMMENT_STATUSES.join(", ")}`,
+      },
+      default: () =>
+        process.env.COMMENTS_REQUIRE_APPROVAL === "true"
+          ? "pending"
+          : "approved",
+    },
     user: {
       type: String,
       required: [true, "User name is required"],
@@ -294,6 +746,11 @@ const commentSchema = new mongoose.Schema(
       default: 0,
       min: 0,
     },
+    likedBy: {
+      type: [String],
+      default: [],
+      select: false,
+    },
   },
   {
     timestamps: true,
@@ -303,6 +760,9 @@ const commentSchema = new mongoose.Schema(
 );
 
 commentSchema.index({ articleId: 1, createdAt: -1 });
+commentSchema.index({ articleId: 1, status: 1, parentId: 1, createdAt: -1 });
+
+commentSchema.plugin(softDeletePlugin);
 
 const Comment = mongoose.model("Comment", commentSchema);
 
@@ -331,6 +791,17 @@ const projectSchema = new mongoose.Schema(
       type: String,
       required: [true, "Image is required"],
     },
+    imagePublicId: String,
+    imageVariants: imageVariantsSchema,
+    gallery: galleryField,
+    // Sparse until existing projects are backfilled via the migration route
+    slug: {
+      type: String,
+      unique: true,
+      sparse: true,
+      lowercase: true,
+      index: true,
+    },
     category: {
       type: String,
       required: [true, "Category is required"],
@@ -340,8 +811,16 @@ const projectSchema = new mongoose.Schema(
       type: [String],
       default: [],
     },
-    github: String,
-    demo: String,
+    github: {
+      type: String,
+      trim: true,
+      match: [/^https?:\/\/\S+$/i, "GitHub link must be a valid URL"],
+    },
+    demo: {
+      type: String,
+      trim: true,
+      match: [/^https?:\/\/\S+$/i, "Demo link must be a valid URL"],
+    },
   },
   {
     timestamps: true,
@@ -353,51 +832,609 @@ const projectSchema = new mongoose.Schema(
 projectSchema.index({ title: "text", description: "text" });
 projectSchema.index({ category: 1, createdAt: -1 });
 
+projectSchema.pre("save", async function (next) {
+  if (this.isModified("title") || !this.slug) {
+    try {
+      this.slug = await generateUniqueSlug(Project, this.title, this._id);
+    } catch (error) {
+      return next(error);
+    }
+  }
+  next();
+});
+
+projectSchema.plugin(softDeletePlugin);
+
 const Project = mongoose.model("Project", projectSchema);
 
-/* 
-=========================================================================================
-                        HELPER FUNCTIONS
-=========================================================================================
-*/
+// Media Model (every stored upload; articles and projects reference assets
+// by publicId, so one asset can be reused across documents)
+const MEDIA_FOLDERS = [
+  "media",
+  "articles/avatars",
+  "articles/images",
+  "projects/images",
+  "articles/gallery",
+  "projects/gallery",
+];
+
+const mediaSchema = new mongoose.Schema(
+  {
+    publicId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    url: {
+      type: String,
+      required: true,
+    },
+    folder: {
+      type: String,
+      enum: MEDIA_FOLDERS,
+      default: "media",
+    },
+    mimetype: String,
+    size: Number,
+    width: Number,
+    height: Number,
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
 
-const uploadToCloudinary = (fileBuffer, folder = "articles") => {
-  return new Promise((resolve, reject) => {
-    if (!fileBuffer) {
-      return reject(new Error("File buffer is required"));
-    }
+mediaSchema.index({ folder: 1, createdAt: -1 });
 
-    const uploadStream = cloudinary.uploader.upload_stream(
-      {
-        folder,
-        resource_type: "auto",
-        transformation: [{ quality: "auto:good" }, { fetch_format: "auto" }],
+const Media = mongoose.model("Media", mediaSchema);
+
+// User Model
+const userSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Name is required"],
+      trim: true,
+      minlength: [2, "Name must be at least 2 characters"],
+      maxlength: [50, "Name must not exceed 50 characters"],
+    },
+    email: {
+      type: String,
+      required: [true, "Email is required"],
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [/^\S+@\S+\.\S+$/, "Please provide a valid email address"],
+    },
+    password: {
+      type: String,
+      required: [true, "Password is required"],
+      minlength: [8, "Password must be at least 8 characters"],
+      select: false,
+    },
+    role: {
+      type: String,
+      enum: {
+        values: ["admin", "editor", "user"],
+        message: "Role must be one of admin, editor or user",
       },
-      (error, result) => {
-        if (error) {
-          console.error("Cloudinary upload error:", error);
-          reject(new Error(`Cloudinary upload failed: ${error.message}`));
-        } else {
-          resolve(result);
-        }
-      }
-    );
-    uploadStream.end(fileBuffer);
-  });
-};
+      default: "user",
+    },
+    // Bumped on logout to invalidate every token issued before it
+    tokenVersion: {
+      type: Number,
+      default: 0,
+      select: false,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: (doc, ret) => {
+        delete ret.password;
+        delete ret.tokenVersion;
+        delete ret.__v;
+        return ret;
+      },
+    },
+    toObject: { virtuals: true },
+  }
+);
 
-const deleteFromCloudinary = async (publicId) => {
-  if (!publicId) return;
+userSchema.pre("save", async function (next) {
+  if (!this.isModified("password")) return next();
 
   try {
-    await cloudinary.uploader.destroy(publicId);
-    console.log(`✅ Deleted image: ${publicId}`);
+    this.password = await bcrypt.hash(this.password, 12);
+    next();
   } catch (error) {
-    console.error(`❌ Failed to delete image ${publicId}:`, error.message);
+    next(error);
   }
+});
+
+userSchema.methods.comparePassword = function (candidatePassword) {
+  return bcrypt.compare(candidatePassword, this.password);
 };
 
-const formatTimeAgo = (date) => {
+const User = mongoose.model("User", userSchema);
+
+/* 
+=========================================================================================
+                        HELPER FUNCTIONS
+=========================================================================================
+*/
+
+// Media storage drivers. Each one stores a file buffer under a folder and
+// resolves { url, publicId }; publicId is what gets persisted (e.g.
+// imgPublicId) and later passed to delete()/getUrl()/getVariants().
+
+// Target widths of the responsive image variants, in pixels
+const IMAGE_VARIANT_WIDTHS = {
+  thumbnail: 150,
+  medium: 640,
+  large: 1280,
+  placeholder: 24,
+};
+
+const cloudinaryStorage = {
+  name: "cloudinary",
+
+  upload: (fileBuffer, folder) =>
+    new Promise((resolve, reject) => {
+      const uploadStream = cloudinary.uploader.upload_stream(
+        {
+          folder,
+          resource_type: "auto",
+          transformation: [{ quality: "auto:good" }, { fetch_format: "auto" }],
+        },
+        (error, result) => {
+          if (error) {
+            console.error("Cloudinary upload error:", error);
+            reject(new Error(`Cloudinary upload failed: ${error.message}`));
+          } else {
+            resolve({ url: result.secure_url, publicId: result.public_id });
+          }
+        }
+      );
+      uploadStream.end(fileBuffer);
+    }),
+
+  delete: (publicId) => cloudinary.uploader.destroy(publicId),
+
+  getUrl: (publicId) => cloudinary.url(publicId, { secure: true }),
+
+  getVariants: (publicId) => {
+    const variantUrl = (transformation) =>
+      cloudinary.url(publicId, {
+        secure: true,
+        transformation: [
+          transformation,
+          { quality: "auto", fetch_format: "auto" },
+        ],
+      });
+
+    return {
+      thumbnail: variantUrl({
+        width: IMAGE_VARIANT_WIDTHS.thumbnail,
+        height: IMAGE_VARIANT_WIDTHS.thumbnail,
+        crop: "fill",
+        gravity: "auto",
+      }),
+      medium: variantUrl({ width: IMAGE_VARIANT_WIDTHS.medium, crop: "limit" }),
+      large: variantUrl({ width: IMAGE_VARIANT_WIDTHS.large, crop: "limit" }),
+      placeholder: variantUrl({
+        width: IMAGE_VARIANT_WIDTHS.placeholder,
+        crop: "limit",
+        effect: "blur:1000",
+      }),
+    };
+  },
+};
+
+const FILE_EXTENSIONS = {
+  "image/jpeg": ".jpg",
+  "image/jpg": ".jpg",
+  "image/png": ".png",
+  "image/gif": ".gif",
+  "image/webp": ".webp",
+};
+
+// Resolves a publicId inside the upload directory, refusing paths that escape it
+const resolveLocalPath = (publicId) => {
+  const filePath = path.resolve(LOCAL_UPLOAD_DIR, publicId);
+
+  if (!filePath.startsWith(LOCAL_UPLOAD_DIR + path.sep)) {
+    throw new Error(`Invalid media ID: ${publicId}`);
+  }
+  return filePath;
+};
+
+const localDiskStorage = {
+  name: "local",
+
+  upload: async (fileBuffer, folder, mimetype) => {
+    const publicId = `${folder}/${crypto.randomUUID()}${
+      FILE_EXTENSIONS[mimetype] || ""
+    }`;
+    const filePath = resolveLocalPath(publicId);
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, fileBuffer);
+
+    return { url: localDiskStorage.getUrl(publicId), publicId };
+  },
+
+  delete: (publicId) => fs.unlink(resolveLocalPath(publicId)),
+
+  getUrl: (publicId) => `${PUBLIC_BASE_URL}${LOCAL_UPLOAD_ROUTE}/${publicId}`,
+
+  // Files are served as uploaded (no resizing on disk), so every variant is
+  // the original and there is no blur placeholder
+  getVariants: (publicId) => {
+    const url = localDiskStorage.getUrl(publicId);
+    return { thumbnail: url, medium: url, large: url, placeholder: null };
+  },
+};
+
+const mediaStorage =
+  STORAGE_DRIVER === "local" ? localDiskStorage : cloudinaryStorage;
+
+const uploadMedia = async (fileBuffer, folder = "articles", mimetype) => {
+  if (!fileBuffer) {
+    throw new Error("File buffer is required");
+  }
+
+  return mediaStorage.upload(fileBuffer, folder, mimetype);
+};
+
+// Never throws: a file that fails to delete is logged and left behind
+const deleteMedia = async (publicId) => {
+  if (!publicId) return;
+
+  try {
+    await mediaStorage.delete(publicId);
+    console.log(`✅ Deleted image: ${publicId}`);
+  } catch (error) {
+    console.error(`❌ Failed to delete image ${publicId}:`, error.message);
+  }
+};
+
+// Identifies an image by its magic bytes rather than the client-supplied
+// mimetype. Returns the real mimetype, or null for anything else.
+const sniffImageType = (buffer) => {
+  if (!buffer || buffer.length < 12) return null;
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return "image/jpeg";
+  }
+  if (buffer.subarray(0, 8).equals(Buffer.from("89504e470d0a1a0a", "hex"))) {
+    return "image/png";
+  }
+  if (["GIF87a", "GIF89a"].includes(buffer.toString("latin1", 0, 6))) {
+    return "image/gif";
+  }
+  if (
+    buffer.toString("latin1", 0, 4) === "RIFF" &&
+    buffer.toString("latin1", 8, 12) === "WEBP"
+  ) {
+    return "image/webp";
+  }
+  return null;
+};
+
+// Reads the pixel size from the image header. Returns null when the header is
+// truncated or malformed.
+const readImageDimensions = (buffer, mimetype) => {
+  try {
+    switch (mimetype) {
+      case "image/png":
+        return {
+          width: buffer.readUInt32BE(16),
+          height: buffer.readUInt32BE(20),
+        };
+
+      case "image/gif":
+        return {
+          width: buffer.readUInt16LE(6),
+          height: buffer.readUInt16LE(8),
+        };
+
+      case "image/webp": {
+        const chunk = buffer.toString("latin1", 12, 16);
+
+        if (chunk === "VP8 ") {
+          return {
+            width: buffer.readUInt16LE(26) & 0x3fff,
+            height: buffer.readUInt16LE(28) & 0x3fff,
+          };
+        }
+        if (chunk === "VP8L") {
+          const bits = buffer.readUInt32LE(21);
+          return {
+            width: (bits & 0x3fff) + 1,
+            height: ((bits >> 14) & 0x3fff) + 1,
+          };
+        }
+        if (chunk === "VP8X") {
+          return {
+            width: buffer.readUIntLE(24, 3) + 1,
+            height: buffer.readUIntLE(27, 3) + 1,
+          };
+        }
+        return null;
+      }
+
+      case "image/jpeg": {
+        // Walk the marker segments up to the first start-of-frame (SOFn)
+        let offset = 2;
+
+        while (offset + 9 < buffer.length) {
+          if (buffer[offset] !== 0xff) return null;
+
+          const marker = buffer[offset + 1];
+
+          if (marker === 0xff) {
+            offset += 1;
+            continue;
+          }
+          if (
+            marker >= 0xc0 &&
+            marker <= 0xcf &&
+            ![0xc4, 0xc8, 0xcc].includes(marker)
+          ) {
+            return {
+              width: buffer.readUInt16BE(offset + 7),
+              height: buffer.readUInt16BE(offset + 5),
+            };
+          }
+          offset += 2 + buffer.readUInt16BE(offset + 2);
+        }
+        return null;
+      }
+
+      default:
+        return null;
+    }
+  } catch (error) {
+    return null;
+  }
+};
+
+const MIN_IMAGE_DIMENSION = 16;
+const MAX_IMAGE_DIMENSION = 6000;
+
+// Checks an uploaded file's real type and size. Corrects file.mimetype to the
+// sniffed type and resolves the image's { width, height }.
+const validateImageFile = (file) => {
+  const mimetype = sniffImageType(file.buffer);
+
+  if (!mimetype) {
+    throw createHttpError(
+      400,
+      `${file.originalname || "File"} is not a JPEG, PNG, GIF or WebP image`
+    );
+  }
+
+  const dimensions = readImageDimensions(file.buffer, mimetype);
+
+  if (!dimensions || !dimensions.width || !dimensions.height) {
+    throw createHttpError(
+      400,
+      `Could not read the dimensions of ${file.originalname || "the image"}`
+    );
+  }
+
+  const { width, height } = dimensions;
+
+  if (Math.min(width, height) < MIN_IMAGE_DIMENSION) {
+    throw createHttpError(
+      400,
+      `Images must be at least ${MIN_IMAGE_DIMENSION}px on each side (got ${width}x${height})`
+    );
+  }
+  if (Math.max(width, height) > MAX_IMAGE_DIMENSION) {
+    throw createHttpError(
+      400,
+      `Images must be at most ${MAX_IMAGE_DIMENSION}px on each side (got ${width}x${height})`
+    );
+  }
+
+  file.mimetype = mimetype;
+  return dimensions;
+};
+
+// Size plus responsive variant URLs of a media library entry, as stored on
+// articles and projects (avatarVariants, imgVariants, imageVariants)
+const toImageVariants = (media) => ({
+  width: media.width,
+  height: media.height,
+  ...mediaStorage.getVariants(media.publicId),
+});
+
+// Uploads a multer file and records it in the media library
+const storeMedia = async (file, folder, ownerId) => {
+  const { width, height } = validateImageFile(file);
+  const result = await uploadMedia(file.buffer, folder, file.mimetype);
+
+  try {
+    return await Media.create({
+      publicId: result.publicId,
+      url: result.url,
+      folder,
+      mimetype: file.mimetype,
+      size: file.size,
+      width,
+      height,
+      owner: ownerId,
+    });
+  } catch (error) {
+    await deleteMedia(result.publicId);
+    throw error;
+  }
+};
+
+// Removes an asset from storage and from the media library
+const discardMedia = (publicId) =>
+  Promise.all([deleteMedia(publicId), Media.deleteOne({ publicId })]);
+
+// The subset of publicIds still used by an article or project (trashed ones
+// included, since they can be restored). Images embedded in Markdown content
+// count too, matched by their publicId appearing in the URL; revisions are
+// searched as well because they can be restored.
+const findReferencedPublicIds = async (publicIds) => {
+  if (!publicIds.length) return new Set();
+
+  const contentPattern = new RegExp(publicIds.map(escapeRegex).join("|"));
+
+  const [articles, projects, revisions] = await Promise.all([
+    Article.find({
+      $or: [
+        { avatarPublicId: { $in: publicIds } },
+        { imgPublicId: { $in: publicIds } },
+        { "gallery.publicId": { $in: publicIds } },
+        { content: contentPattern },
+      ],
+    })
+      .setOptions({ withDeleted: true })
+      .select("avatarPublicId imgPublicId gallery.publicId content")
+      .lean(),
+    Project.find({
+      $or: [
+        { imagePublicId: { $in: publicIds } },
+        { "gallery.publicId": { $in: publicIds } },
+      ],
+    })
+      .setOptions({ withDeleted: true })
+      .select("imagePublicId gallery.publicId")
+      .lean(),
+    ArticleRevision.find({ content: contentPattern }).select("content").lean(),
+  ]);
+
+  const galleryPublicIds = (doc) =>
+    (doc.gallery || []).map((item) => item.publicId);
+  const embeddedPublicIds = (doc) =>
+    publicIds.filter((publicId) => doc.content?.includes(publicId));
+
+  return new Set(
+    [
+      ...articles.flatMap((article) => [
+        article.avatarPublicId,
+        article.imgPublicId,
+        ...galleryPublicIds(article),
+        ...embeddedPublicIds(article),
+      ]),
+      ...projects.flatMap((project) => [
+        project.imagePublicId,
+        ...galleryPublicIds(project),
+      ]),
+      ...revisions.flatMap(embeddedPublicIds),
+    ].filter((publicId) => publicIds.includes(publicId))
+  );
+};
+
+// Discards an asset once nothing references it any more. Never throws, so
+// callers can run it after responding: failures are logged and the asset is
+// left for the sweep.
+const releaseMedia = async (publicId) => {
+  if (!publicId) return;
+
+  try {
+    const referenced = await findReferencedPublicIds([publicId]);
+    if (!referenced.has(publicId)) await discardMedia(publicId);
+  } catch (error) {
+    console.error(`❌ Failed to release media ${publicId}:`, error.message);
+  }
+};
+
+// Resolves image inputs that are either an uploaded file or the ID of an
+// existing media library entry. Fresh uploads are flagged so callers can
+// discard them if the document using them fails to save; if any input fails,
+// the uploads that did succeed are discarded before rethrowing.
+const resolveMediaInputs = async (inputs, ownerId) => {
+  const results = await Promise.allSettled(
+    inputs.map(async ({ file, mediaId, folder }) => {
+      if (file) {
+        return {
+          media: await storeMedia(file, folder, ownerId),
+          uploaded: true,
+        };
+      }
+      if (!mediaId) return null;
+
+      const media = validateObjectId(mediaId)
+        ? await Media.findById(mediaId)
+        : null;
+
+      if (!media) throw createHttpError(400, `Media ${mediaId} not found`);
+      return { media, uploaded: false };
+    })
+  );
+
+  const resolved = results.map((result) =>
+    result.status === "fulfilled" ? result.value : null
+  );
+  const failure = results.find((result) => result.status === "rejected");
+
+  if (failure) {
+    await discardUploadedMedia(resolved);
+    throw failure.reason;
+  }
+  return resolved;
+};
+
+const discardUploadedMedia = (resolved) =>
+  Promise.all(
+    resolved
+      .filter((entry) => entry?.uploaded)
+      .map((entry) => discardMedia(entry.media.publicId))
+  );
+
+// Deletes library assets nothing references. Assets younger than the grace
+// period are skipped, since a request may be about to attach them.
+const MEDIA_SWEEP_GRACE_MS = 24 * 60 * 60 * 1000;
+const MEDIA_SWEEP_BATCH_SIZE = 500;
+
+const sweepUnusedMedia = async ({ dryRun = false } = {}) => {
+  const createdBefore = new Date(Date.now() - MEDIA_SWEEP_GRACE_MS);
+  const unused = [];
+  let scanned = 0;
+  let lastId = null;
+
+  for (;;) {
+    const batch = await Media.find({
+      createdAt: { $lt: createdBefore },
+      ...(lastId && { _id: { $gt: lastId } }),
+    })
+      .sort({ _id: 1 })
+      .limit(MEDIA_SWEEP_BATCH_SIZE)
+      .select("publicId")
+      .lean();
+
+    if (!batch.length) break;
+
+    scanned += batch.length;
+    lastId = batch[batch.length - 1]._id;
+
+    const publicIds = batch.map((media) => media.publicId);
+    const referenced = await findReferencedPublicIds(publicIds);
+    unused.push(...publicIds.filter((publicId) => !referenced.has(publicId)));
+  }
+
+  if (!dryRun) {
+    for (const publicId of unused) {
+      await discardMedia(publicId);
+    }
+  }
+
+  return { scanned, unused };
+};
+
+const formatTimeAgo = (date) => {
   const seconds = Math.floor((new Date() - new Date(date)) / 1000);
   const intervals = [
     { label: "year", seconds: 31536000 },
@@ -416,6 +1453,68 @@ const formatTimeAgo = (date) => {
   return "just now";
 };
 
+const formatComment = (comment) => ({
+  _id: comment._id,
+  parentId: comment.parentId || null,
+  depth: comment.ancestors?.length || 0,
+  user: comment.user,
+  text: comment.text,
+  likes: comment.likes,
+  time: formatTimeAgo(comment.createdAt),
+  createdAt: comment.createdAt,
+});
+
+// Nests formatted replies under their parents. Replies whose parent is not in
+// the list (e.g. hidden by a moderator) are dropped along with their subtree.
+const buildCommentTree = (roots, replies) => {
+  const nodes = new Map();
+  const tree = roots.map((root) => {
+    const node = { ...formatComment(root), replies: [] };
+    nodes.set(root._id.toString(), node);
+    return node;
+  });
+
+  const sortedReplies = [...replies].sort(
+    (a, b) =>
+      a.ancestors.length - b.ancestors.length || a.createdAt - b.createdAt
+  );
+
+  for (const reply of sortedReplies) {
+    const parent = nodes.get(reply.parentId?.toString());
+    if (!parent) continue;
+
+    const node = { ...formatComment(reply), replies: [] };
+    nodes.set(reply._id.toString(), node);
+    parent.replies.push(node);
+  }
+
+  return tree;
+};
+
+const toDateKey = (date) => date.toISOString().slice(0, 10);
+
+// Counts a view unless the visitor already viewed the article within the
+// dedupe window. Resolves to true when the view was counted.
+const recordArticleView = async (articleId, visitorKey) => {
+  try {
+    await ArticleView.create({ articleId, visitorKey });
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+
+  await Promise.all([
+    Article.updateOne({ _id: articleId }, { $inc: { views: 1 } }),
+    ArticleDailyView.updateOne(
+      { articleId, date: toDateKey(new Date()) },
+      { $inc: { views: 1 } },
+      { upsert: true }
+    ),
+  ]);
+
+  return true;
+};
+
 const asyncHandler = (fn) => (req, res, next) => {
   Promise.resolve(fn(req, res, next)).catch(next);
 };
@@ -431,799 +1530,4203 @@ const sanitizeInput = (input) => {
   return input;
 };
 
-/* 
-=========================================================================================
-                        CATEGORY ROUTES
-=========================================================================================
-*/
+const MAX_SLUG_LENGTH = 80;
+
+// Keeps letters, combining marks and digits of any script, so Bangla titles
+// produce readable slugs (e.g. "জাভাস্ক্রিপ্ট-শিখুন") instead of empty strings.
+const slugify = (text) => {
+  return String(text || "")
+    .normalize("NFC")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, "-")
+    .replace(/(^-|-$)/g, "")
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/-$/, "");
+};
 
-// Create Category
-app.post(
-  "/api/categories",
-  asyncHandler(async (req, res) => {
-    const { categoryName } = req.body;
+// Appends -2, -3, ... until the slug is free within the model's collection.
+// Slugs still held in another document's slugHistory count as taken.
+const generateUniqueSlug = async (Model, text, excludeId) => {
+  const baseSlug = slugify(text) || Model.modelName.toLowerCase();
+  const hasHistory = Boolean(Model.schema.path("slugHistory"));
+
+  // Trashed documents keep their slugs, so they still count as taken
+  const isTaken = (slug) =>
+    Model.exists({
+      _id: { $ne: excludeId },
+      ...(hasHistory ? { $or: [{ slug }, { slugHistory: slug }] } : { slug }),
+    }).setOptions({ withDeleted: true });
+
+  let slug = baseSlug;
+  let suffix = 1;
+
+  while (await isTaken(slug)) {
+    suffix += 1;
+    slug = `${baseSlug}-${suffix}`;
+  }
 
-    if (!categoryName || !categoryName.trim()) {
-      return res.status(400).json({
-        success: false,
-        message: "Category name is required",
-      });
+  return slug;
+};
+
+// Accepts arrays, JSON array strings or comma-separated strings (multipart forms)
+const parseListInput = (input) => {
+  if (input === undefined || input === null) return [];
+  if (Array.isArray(input)) return input;
+
+  if (typeof input === "string") {
+    const trimmed = input.trim();
+    if (trimmed.startsWith("[")) {
+      try {
+        const parsed = JSON.parse(trimmed);
+        if (Array.isArray(parsed)) return parsed;
+      } catch {
+        // Fall through to comma-separated parsing
+      }
     }
+    return trimmed.split(",");
+  }
 
-    const sanitizedName = sanitizeInput(categoryName);
+  return [input];
+};
 
-    const existingCategory = await Category.findOne({
-      categoryName: { $regex: new RegExp(`^${sanitizedName}$`, "i") },
-    });
+// Tags are slugified ("Node JS" -> "node-js") so variants collapse into one
+const normalizeTag = (tag) => {
+  if (typeof tag !== "string") return "";
 
-    if (existingCategory) {
-      return res.status(409).json({
-        success: false,
-        message: "Category already exists",
+  return slugify(tag.replace(/^#/, ""))
+    .slice(0, MAX_TAG_LENGTH)
+    .replace(/-$/, "");
+};
+
+const normalizeTags = (input) => {
+  return [...new Set(parseListInput(input).map(normalizeTag).filter(Boolean))];
+};
+
+// Articles visible to the public. Due scheduled articles count even before
+// publishDueArticles flips them, and articles saved before statuses existed
+// (no status) count as published.
+const publishedArticleFilter = () => ({
+  $or: [
+    { status: { $in: ["published", null] } },
+    { status: "scheduled", publishAt: { $lte: new Date() } },
+  ],
+});
+
+// Adds the published filter through $and so the query's own $or survives
+const publicArticleQuery = (query = {}) => ({
+  ...query,
+  $and: [...(query.$and || []), publishedArticleFilter()],
+});
+
+// Validates status/publishAt from a request body. Resolves the fields to set,
+// or an error message.
+const getPublishingUpdate = (body, currentStatus = "published") => {
+  const { status, publishAt } = body;
+
+  if (status === undefined && publishAt === undefined) return { data: {} };
+
+  const nextStatus = status === undefined ? currentStatus : status;
+
+  if (!ARTICLE_STATUSES.includes(nextStatus)) {
+    return {
+      error: `Status must be one of ${ARTICLE_STATUSES.join(", ")}`,
+    };
+  }
+
+  if (nextStatus !== "scheduled") {
+    return { data: { status: nextStatus, publishAt: undefined } };
+  }
+
+  const publishDate = new Date(publishAt);
+
+  if (!publishAt || Number.isNaN(publishDate.getTime())) {
+    return { error: "publishAt must be a valid date for scheduled articles" };
+  }
+  if (publishDate <= new Date()) {
+    return { error: "publishAt must be in the future" };
+  }
+
+  return { data: { status: "scheduled", publishAt: publishDate } };
+};
+
+// Publishes every scheduled article whose time has come. A single atomic
+// updateMany, so concurrent serverless invocations can't double-publish.
+const publishDueArticles = async () => {
+  const result = await Article.updateMany(
+    { status: "scheduled", publishAt: { $lte: new Date() } },
+    [{ $set: { status: "published", publishedAt: "$publishAt" } }]
+  );
+  return result.modifiedCount;
+};
+
+// Compares revisioned fields of two article versions (documents or plain
+// objects) and lists the ones that differ
+const diffArticleVersions = (from, to) =>
+  REVISION_FIELDS.filter(
+    (field) =>
+      JSON.stringify(from[field] ?? null) !== JSON.stringify(to[field] ?? null)
+  );
+
+const MAX_REVISION_ATTEMPTS = 5;
+
+// Stores a snapshot under the next revision number. Concurrent edits can pick
+// the same number; the unique {articleId, revision} index rejects the later
+// one, which then retries with a fresh number instead of losing the snapshot.
+const createArticleRevision = async (snapshot) => {
+  for (let attempt = 1; ; attempt += 1) {
+    const latest = await ArticleRevision.findOne({
+      articleId: snapshot.articleId,
+    })
+      .sort({ revision: -1 })
+      .select("revision")
+      .lean();
+
+    try {
+      return await ArticleRevision.create({
+        ...snapshot,
+        revision: (latest?.revision || 0) + 1,
       });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= MAX_REVISION_ATTEMPTS) throw error;
     }
+  }
+};
 
-    const category = await Category.create({ categoryName: sanitizedName });
-
-    res.status(201).json({
-      success: true,
-      message: "Category created successfully",
-      data: category,
+// Applies updateData to an article and saves it, snapshotting the previous
+// version into ArticleRevision when a revisioned field changed and moving
+// the article between category counters when its category changed
+const saveArticleWithRevision = async (article, updateData, editedBy) => {
+  const previous = article.toObject();
+
+  // save() so a changed title regenerates the slug and records the old one
+  article.set(updateData);
+  const changedFields = diffArticleVersions(previous, article);
+  const updatedArticle = await article.save();
+
+  if (changedFields.length) {
+    await createArticleRevision({
+      articleId: article._id,
+      ...Object.fromEntries(
+        REVISION_FIELDS.map((field) => [field, previous[field]])
+      ),
+      changedFields,
+      editedBy,
     });
-  })
-);
+  }
 
-// Get All Categories
-app.get(
-  "/api/categories",
-  asyncHandler(async (req, res) => {
-    const categories = await Category.find()
-      .sort({ createdAt: -1 })
-      .lean()
-      .select("-__v");
+  if (!previous.category.equals(updatedArticle.category)) {
+    await Promise.all([
+      Category.updateOne(
+        { _id: previous.category, articleCount: { $gt: 0 } },
+        { $inc: { articleCount: -1 } }
+      ),
+      Category.updateOne(
+        { _id: updatedArticle.category },
+        { $inc: { articleCount: 1 } }
+      ),
+    ]);
+  }
 
-    res.status(200).json({
-      success: true,
-      count: categories.length,
-      data: categories,
+  return updatedArticle;
+};
+
+// Fields of the referenced category included in article responses
+const CATEGORY_POPULATE = { path: "category", select: "categoryName slug" };
+
+// Finds a category by id, slug or (case-insensitive) name
+const resolveCategory = async (value) => {
+  const identifier = sanitizeInput(String(value || ""));
+  if (!identifier) return null;
+
+  if (validateObjectId(identifier)) {
+    const category = await Category.findById(identifier);
+    if (category) return category;
+  }
+
+  return Category.findOne({
+    $or: [
+      { slug: identifier.toLowerCase() },
+      {
+        categoryName: {
+          $regex: new RegExp(`^${escapeRegex(identifier)}$`, "i"),
+        },
+      },
+    ],
+  });
+};
+
+// Checks that `parentId` can become the parent of `categoryId` (which is
+// undefined for new categories). Resolves to an error message or null.
+const validateCategoryParent = async (categoryId, parentId) => {
+  if (!validateObjectId(parentId)) return "Invalid parent category ID format";
+  if (categoryId && String(categoryId) === String(parentId)) {
+    return "A category cannot be its own parent";
+  }
+
+  // Levels the category's own subcategories add below it
+  const subtreeHeight = categoryId
+    ? await getCategorySubtreeHeight(categoryId)
+    : 0;
+
+  // Walk up from the new parent; meeting the category itself means a cycle
+  let currentId = parentId;
+  let depth = 0;
+
+  while (currentId) {
+    const current = await Category.findById(currentId).select("parent").lean();
+
+    if (!current) {
+      return depth === 0
+        ? "Parent category not found"
+        : "Category hierarchy is broken";
+    }
+    if (categoryId && String(current._id) === String(categoryId)) {
+      return "A category cannot be nested under one of its own subcategories";
+    }
+
+    depth += 1;
+    if (depth + subtreeHeight >= MAX_CATEGORY_DEPTH) {
+      return `Categories cannot be nested more than ${MAX_CATEGORY_DEPTH} levels deep`;
+    }
+    currentId = current.parent;
+  }
+
+  return null;
+};
+
+// IDs of every category below `categoryId`, at any depth
+const getDescendantCategoryIds = async (categoryId) => {
+  const [result] = await Category.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(String(categoryId)) } },
+    {
+      $graphLookup: {
+        from: Category.collection.name,
+        startWith: "$_id",
+        connectFromField: "_id",
+        connectToField: "parent",
+        as: "descendants",
+      },
+    },
+    { $project: { descendants: "$descendants._id" } },
+  ]);
+
+  return result ? result.descendants : [];
+};
+
+// Number of levels below `categoryId` (0 when it has no subcategories)
+const getCategorySubtreeHeight = async (categoryId) => {
+  const [result] = await Category.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(String(categoryId)) } },
+    {
+      $graphLookup: {
+        from: Category.collection.name,
+        startWith: "$_id",
+        connectFromField: "_id",
+        connectToField: "parent",
+        as: "descendants",
+        depthField: "level",
+      },
+    },
+    { $project: { deepestLevel: { $max: "$descendants.level" } } },
+  ]);
+
+  // $graphLookup counts direct children as level 0
+  return typeof result?.deepestLevel === "number" ? result.deepestLevel + 1 : 0;
+};
+
+// Recomputes every category's articleCount from the articles themselves
+const recountCategoryArticles = async () => {
+  const counts = await Article.aggregate([
+    { $group: { _id: "$category", count: { $sum: 1 } } },
+  ]);
+  const countByCategory = new Map(
+    counts.map(({ _id, count }) => [String(_id), count])
+  );
+
+  const categories = await Category.find().select("_id articleCount").lean();
+  const updates = categories
+    .filter(
+      (category) =>
+        category.articleCount !==
+        (countByCategory.get(String(category._id)) || 0)
+    )
+    .map((category) => ({
+      updateOne: {
+        filter: { _id: category._id },
+        update: {
+          $set: {
+            articleCount: countByCategory.get(String(category._id)) || 0,
+          },
+        },
+      },
+    }));
+
+  if (updates.length) await Category.bulkWrite(updates);
+
+  return { categories: categories.length, updated: updates.length };
+};
+
+const isValidHttpUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === "http:" || url.protocol === "https:";
+  } catch {
+    return false;
+  }
+};
+
+// Validates project fields. With `partial`, only the provided fields are checked.
+const validateProjectInput = (body, { partial = false } = {}) => {
+  const errors = [];
+  const data = {};
+
+  for (const field of ["title", "description", "category"]) {
+    if (body[field] !== undefined) {
+      data[field] = sanitizeInput(body[field]);
+    } else if (!partial) {
+      errors.push(`${field} is required`);
+    }
+  }
+
+  // Full description may contain markup, so it is stored as-is
+  if (body.fullDescription !== undefined) {
+    data.fullDescription = body.fullDescription;
+  } else if (!partial) {
+    errors.push("fullDescription is required");
+  }
+
+  if (body.technologies !== undefined) {
+    const technologies = [
+      ...new Set(
+        parseListInput(body.technologies)
+          .filter((tech) => typeof tech === "string")
+          .map((tech) => sanitizeInput(tech))
+          .filter(Boolean)
+      ),
+    ];
+
+    if (technologies.length > 20) {
+      errors.push("A project can list at most 20 technologies");
+    }
+    if (technologies.some((tech) => tech.length > 30)) {
+      errors.push("Each technology must not exceed 30 characters");
+    }
+    data.technologies = technologies;
+  }
+
+  for (const field of ["github", "demo"]) {
+    if (body[field] === undefined) continue;
+
+    const value = sanitizeInput(body[field]);
+    if (!value) {
+      // An empty value clears the link
+      data[field] = undefined;
+    } else if (!isValidHttpUrl(value)) {
+      errors.push(`${field} must be a valid http(s) URL`);
+    } else {
+      data[field] = value;
+    }
+  }
+
+  return { errors, data };
+};
+
+const escapeRegex = (text) => {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+};
+
+const escapeHtml = (text) => {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+};
+
+// Quotes and leading dashes are $text operators (phrases and negation),
+// so they are stripped to keep user input a plain list of terms.
+const sanitizeTextSearch = (query) => {
+  return String(query || "")
+    .replace(/["\\]/g, " ")
+    .replace(/(^|\s)-+/g, "$1")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, 100);
+};
+
+// Markdown rendering for article content. Headings get slug ids (the TOC
+// anchors), fenced code keeps a language-* class for client-side syntax
+// highlighting, and the HTML is sanitized since content may embed raw HTML.
+const TOC_MAX_LEVEL = 3;
+const WORDS_PER_MINUTE = 200;
+
+const markdown = new Marked({
+  gfm: true,
+  renderer: {
+    heading({ tokens, depth, anchor }) {
+      return `<h${depth} id="${anchor}">${this.parser.parseInline(
+        tokens
+      )}</h${depth}>\n`;
+    },
+  },
+});
+
+const MARKDOWN_SANITIZE_OPTIONS = {
+  allowedTags: [...sanitizeHtml.defaults.allowedTags, "img", "del"],
+  allowedAttributes: {
+    ...sanitizeHtml.defaults.allowedAttributes,
+    ...Object.fromEntries(
+      ["h1", "h2", "h3", "h4", "h5", "h6"].map((tag) => [tag, ["id"]])
+    ),
+    a: ["href", "name", "title"],
+    th: ["align"],
+    td: ["align"],
+    ol: ["start"],
+  },
+  allowedClasses: {
+    code: ["language-*"],
+  },
+};
+
+// Heading text without Markdown syntax or inline HTML, for the TOC
+const getPlainText = (tokens = []) =>
+  tokens
+    .filter((token) => token.type !== "html")
+    .map((token) =>
+      token.tokens ? getPlainText(token.tokens) : token.text || ""
+    )
+    .join("");
+
+const renderMarkdown = (content) => {
+  const tokens = markdown.lexer(content || "");
+  const toc = [];
+  const anchorCounts = new Map();
+
+  markdown.walkTokens(tokens, (token) => {
+    if (token.type !== "heading") return;
+
+    const text = getPlainText(token.tokens).trim();
+    const baseAnchor = slugify(text) || "section";
+    const count = (anchorCounts.get(baseAnchor) || 0) + 1;
+
+    anchorCounts.set(baseAnchor, count);
+    token.anchor = count > 1 ? `${baseAnchor}-${count}` : baseAnchor;
+
+    if (token.depth <= TOC_MAX_LEVEL) {
+      toc.push({ level: token.depth, text, anchor: token.anchor });
+    }
+  });
+
+  const contentHtml = sanitizeHtml(
+    markdown.parser(tokens),
+    MARKDOWN_SANITIZE_OPTIONS
+  );
+  const wordCount = sanitizeHtml(contentHtml, {
+    allowedTags: [],
+    allowedAttributes: {},
+  })
+    .split(/\s+/)
+    .filter(Boolean).length;
+
+  return {
+    contentHtml,
+    toc,
+    wordCount,
+    readingTime: wordCount ? Math.ceil(wordCount / WORDS_PER_MINUTE) : 0,
+  };
+};
+
+// Listings leave out the article body; it's returned by the single-article routes
+const ARTICLE_LIST_SELECT = "-__v -content -contentHtml -toc";
+
+// Returns an HTML-escaped excerpt of `text` around the first matching term,
+// with every term occurrence wrapped in <mark>.
+const highlightText = (text, terms, radius = 60) => {
+  if (!text) return "";
+
+  const pattern = terms.length
+    ? new RegExp(`(${terms.map(escapeRegex).join("|")})`, "giu")
+    : null;
+  const firstMatch = pattern ? text.search(pattern) : -1;
+
+  const start = Math.max(0, firstMatch - radius);
+  const end = Math.min(text.length, Math.max(firstMatch, 0) + radius * 2);
+  const excerpt = text.slice(start, end);
+
+  // split() with a capturing group puts the matches at odd indexes
+  const snippet = pattern
+    ? excerpt
+        .split(pattern)
+        .map((part, index) =>
+          index % 2 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)
+        )
+        .join("")
+    : escapeHtml(excerpt);
+
+  return `${start > 0 ? "…" : ""}${snippet}${end < text.length ? "…" : ""}`;
+};
+
+// Small in-memory cache with expiry. Entries live per server instance, which
+// on Vercel means they survive between invocations of a warm function.
+const createTtlCache = ({ ttlMs, maxEntries }) => {
+  const entries = new Map();
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (entry.expiresAt < Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      return entry.value;
+    },
+    set(key, value) {
+      entries.delete(key);
+      // Map keeps insertion order, so the first key is the oldest entry
+      if (entries.size >= maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+  };
+};
+
+/*
+ * Pagination
+ *
+ * Listings support two modes. Page mode (?page=2) uses skip/limit and returns
+ * totals. Cursor mode (?paginate=cursor, then ?cursor=<nextCursor|prevCursor>)
+ * pages by the sort fields plus _id, so inserts between requests can't cause
+ * duplicates or gaps. Sort specs are arrays of [field, 1 | -1] ending in _id.
+ */
+
+const createHttpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Cursor values keep their BSON type so comparisons match the stored data
+const encodeCursorValue = (value) => {
+  if (value instanceof Date) return { d: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { o: value.toString() };
+  return { v: value ?? null };
+};
+
+// Cursors come from clients, so anything but a tagged scalar is rejected;
+// an object in `v` would otherwise inject query operators into the filter
+const decodeCursorValue = (encoded) => {
+  if (typeof encoded?.d === "string") {
+    const date = new Date(encoded.d);
+    if (Number.isNaN(date.getTime())) throw new Error("Invalid cursor date");
+    return date;
+  }
+  if (typeof encoded?.o === "string" && validateObjectId(encoded.o)) {
+    return new mongoose.Types.ObjectId(encoded.o);
+  }
+  if (
+    encoded?.v === null ||
+    ["string", "number", "boolean"].includes(typeof encoded?.v)
+  ) {
+    return encoded.v;
+  }
+  throw new Error("Invalid cursor value");
+};
+
+const getSortSignature = (sortSpec) => {
+  return sortSpec.map(([field, order]) => `${field}:${order}`).join(",");
+};
+
+const encodeCursor = (document, sortSpec, direction) => {
+  const payload = {
+    dir: direction,
+    sort: getSortSignature(sortSpec),
+    values: sortSpec.map(([field]) => encodeCursorValue(document[field])),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+};
+
+const decodeCursor = (cursor, sortSpec) => {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, "base64url").toString());
+
+    if (
+      payload.sort !== getSortSignature(sortSpec) ||
+      !["next", "prev"].includes(payload.dir) ||
+      !Array.isArray(payload.values) ||
+      payload.values.length !== sortSpec.length
+    ) {
+      return null;
+    }
+
+    return {
+      direction: payload.dir,
+      values: payload.values.map(decodeCursorValue),
+    };
+  } catch {
+    return null;
+  }
+};
+
+// Keyset filter matching documents after ("next") or before ("prev") the
+// cursor position in the given sort order
+const buildCursorFilter = (sortSpec, values, direction) => {
+  return {
+    $or: sortSpec.map(([field, order], index) => {
+      const forward = (order === 1) === (direction === "next");
+      const condition = {};
+
+      sortSpec.slice(0, index).forEach(([previousField], previousIndex) => {
+        condition[previousField] = values[previousIndex];
+      });
+      condition[field] = { [forward ? "$gt" : "$lt"]: values[index] };
+
+      return condition;
+    }),
+  };
+};
+
+// Sortable fields per listing. Text fields default to ascending (A→Z),
+// everything else to descending (newest / most popular first).
+const ARTICLE_SORT_FIELDS = [
+  "createdAt",
+  "updatedAt",
+  "views",
+  "likes",
+  "shares",
+  "title",
+];
+const PROJECT_SORT_FIELDS = ["createdAt", "updatedAt", "title"];
+const COMMENT_SORT_FIELDS = ["createdAt", "likes"];
+const ASCENDING_SORT_FIELDS = ["title"];
+const MAX_SORT_FIELDS = 3;
+
+// Builds a sort spec from either ?sort=-likes,createdAt (a "-" prefix means
+// descending) or the simpler ?sortBy=likes&order=asc, validated against
+// `allowedFields`. _id is appended as the final tie-breaker.
+const parseSortSpec = (query, allowedFields, defaultField = "createdAt") => {
+  const { sort, sortBy, order } = query;
+
+  if (order !== undefined && !["asc", "desc"].includes(order)) {
+    throw createHttpError(400, "Order must be either asc or desc");
+  }
+
+  const defaultOrder = (field) =>
+    ASCENDING_SORT_FIELDS.includes(field) ? 1 : -1;
+
+  let sortSpec;
+
+  if (sort) {
+    sortSpec = String(sort)
+      .split(",")
+      .map((token) => token.trim())
+      .filter(Boolean)
+      .map((token) =>
+        token.startsWith("-")
+          ? [token.slice(1), -1]
+          : [token.replace(/^\+/, ""), 1]
+      );
+  } else {
+    const field = sortBy || defaultField;
+    const direction = order ? (order === "asc" ? 1 : -1) : defaultOrder(field);
+    sortSpec = [[field, direction]];
+  }
+
+  const fields = sortSpec.map(([field]) => field);
+  const invalidField = fields.find((field) => !allowedFields.includes(field));
+
+  if (invalidField !== undefined) {
+    throw createHttpError(
+      400,
+      `Invalid sort field "${invalidField}". Allowed fields: ${allowedFields.join(
+        ", "
+      )}`
+    );
+  }
+
+  if (!fields.length || fields.length > MAX_SORT_FIELDS) {
+    throw createHttpError(
+      400,
+      `Sort must name between 1 and ${MAX_SORT_FIELDS} fields`
+    );
+  }
+
+  if (new Set(fields).size !== fields.length) {
+    throw createHttpError(400, "Sort fields must not repeat");
+  }
+
+  return [...sortSpec, ["_id", sortSpec[sortSpec.length - 1][1]]];
+};
+
+const getPaginationParams = (query, defaultLimit = 10) => {
+  const { page = 1, limit = defaultLimit, cursor, paginate } = query;
+
+  return {
+    page: Math.max(1, +page || 1),
+    limit: Math.min(Math.max(1, +limit || defaultLimit), 50),
+    cursor: cursor ? String(cursor) : null,
+    useCursor: Boolean(cursor) || paginate === "cursor",
+  };
+};
+
+// Resolves to { docs, meta }, where meta holds the mode-specific response fields
+const paginateQuery = async (
+  Model,
+  query,
+  { sortSpec, page, limit, cursor, useCursor, select = "-__v", populate }
+) => {
+  // Sort specs are [field, order] pairs (see parseSortSpec); cursors depend
+  // on that order, so a plain object is a programming error
+  if (!Array.isArray(sortSpec)) {
+    throw new TypeError(
+      "paginateQuery expects sortSpec as [field, order] pairs"
+    );
+  }
+
+  const sort = Object.fromEntries(sortSpec);
+
+  if (!useCursor) {
+    const [docs, total] = await Promise.all([
+      Model.find(query)
+        .sort(sort)
+        .limit(limit)
+        .skip((page - 1) * limit)
+        .populate(populate || [])
+        .lean()
+        .select(select),
+      Model.countDocuments(query),
+    ]);
+
+    return {
+      docs,
+      meta: { total, page, totalPages: Math.ceil(total / limit) },
+    };
+  }
+
+  let direction = "next";
+  let filter = query;
+
+  if (cursor) {
+    const decoded = decodeCursor(cursor, sortSpec);
+    if (!decoded) throw createHttpError(400, "Invalid or expired cursor");
+
+    direction = decoded.direction;
+    // Keep the query's own fields top-level (see softDeletePlugin)
+    filter = {
+      ...query,
+      $and: [
+        ...(query.$and || []),
+        buildCursorFilter(sortSpec, decoded.values, direction),
+      ],
+    };
+  }
+
+  // Walking backwards means querying in reverse order, then flipping the page
+  const querySort =
+    direction === "next"
+      ? sort
+      : Object.fromEntries(sortSpec.map(([field, order]) => [field, -order]));
+
+  // One extra document tells whether another page exists
+  const results = await Model.find(filter)
+    .sort(querySort)
+    .limit(limit + 1)
+    .populate(populate || [])
+    .lean()
+    .select(select);
+
+  const hasMore = results.length > limit;
+  const docs = results.slice(0, limit);
+  if (direction === "prev") docs.reverse();
+
+  const hasNext = direction === "next" ? hasMore : true;
+  const hasPrev = direction === "prev" ? hasMore : Boolean(cursor);
+
+  return {
+    docs,
+    meta: {
+      nextCursor:
+        hasNext && docs.length
+          ? encodeCursor(docs[docs.length - 1], sortSpec, "next")
+          : null,
+      prevCursor:
+        hasPrev && docs.length ? encodeCursor(docs[0], sortSpec, "prev") : null,
+    },
+  };
+};
+
+const generateTokens = (user) => {
+  const accessToken = jwt.sign(
+    {
+      sub: user._id.toString(),
+      role: user.role,
+      ver: user.tokenVersion,
+      type: "access",
+    },
+    JWT_SECRET,
+    { expiresIn: JWT_EXPIRES_IN }
+  );
+
+  const refreshToken = jwt.sign(
+    { sub: user._id.toString(), ver: user.tokenVersion, type: "refresh" },
+    JWT_REFRESH_SECRET,
+    { expiresIn: JWT_REFRESH_EXPIRES_IN }
+  );
+
+  return { accessToken, refreshToken };
+};
+
+/* 
+=========================================================================================
+                        AUTH MIDDLEWARE
+=========================================================================================
+*/
+
+// Verifies the Bearer access token and attaches the user to req.user.
+// jwt.verify errors are forwarded to the global error handler (401).
+const requireAuth = asyncHandler(async (req, res, next) => {
+  const [scheme, token] = (req.headers.authorization || "").split(" ");
+
+  if (scheme !== "Bearer" || !token) {
+    return res.status(401).json({
+      success: false,
+      message: "Authentication required",
+    });
+  }
+
+  const payload = jwt.verify(token, JWT_SECRET);
+
+  if (payload.type !== "access") {
+    return res.status(401).json({
+      success: false,
+      message: "Invalid token",
+    });
+  }
+
+  const user = await User.findById(payload.sub).select("+tokenVersion");
+
+  if (!user || user.tokenVersion !== payload.ver) {
+    return res.status(401).json({
+      success: false,
+      message: "Session is no longer valid. Please log in again",
+    });
+  }
+
+  req.user = user;
+  next();
+});
+
+// Must be used after requireAuth
+const requireRole =
+  (...roles) =>
+  (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: "Authentication required",
+      });
+    }
+
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have permission to perform this action",
+      });
+    }
+
+    next();
+  };
+
+// Sets req.user when a valid access token is sent; missing, expired or
+// invalid tokens continue anonymously (used on public routes where staff
+// may see more than the public)
+const optionalAuth = asyncHandler(async (req, res, next) => {
+  const [scheme, token] = (req.headers.authorization || "").split(" ");
+
+  let payload = null;
+  if (scheme === "Bearer" && token) {
+    try {
+      payload = jwt.verify(token, JWT_SECRET);
+    } catch {
+      // Treated as an anonymous request
+    }
+  }
+
+  if (payload?.type === "access") {
+    const user = await User.findById(payload.sub).select("+tokenVersion");
+    if (user && user.tokenVersion === payload.ver) req.user = user;
+  }
+
+  next();
+});
+
+const isStaff = (req) => ["admin", "editor"].includes(req.user?.role);
+
+// Staff can see drafts and scheduled articles; everyone else only public ones
+const visibleArticleQuery = (req, query) =>
+  isStaff(req) ? query : publicArticleQuery(query);
+
+// Vercel Cron authenticates with `Authorization: Bearer <CRON_SECRET>`
+const requireCronSecret = (req, res, next) => {
+  if (!CRON_SECRET) {
+    return res.status(503).json({
+      success: false,
+      message: "CRON_SECRET is not configured",
+    });
+  }
+
+  if (req.headers.authorization !== `Bearer ${CRON_SECRET}`) {
+    return res.status(401).json({
+      success: false,
+      message: "Invalid cron secret",
+    });
+  }
+
+  next();
+};
+
+/* 
+=========================================================================================
+                        VISITOR IDENTITY
+=========================================================================================
+*/
+
+// Value of a single cookie, or null. Other cookies on the domain are never
+// decoded, and a malformed value counts as missing.
+const readCookie = (cookieHeader = "", name) => {
+  const pair = cookieHeader
+    .split(";")
+    .map((part) => part.trim())
+    .find((part) => part.startsWith(`${name}=`));
+
+  if (!pair) return null;
+
+  try {
+    return decodeURIComponent(pair.slice(name.length + 1));
+  } catch {
+    return null;
+  }
+};
+
+const signVisitorToken = (visitorId) => {
+  return jwt.sign({ sub: visitorId, type: "visitor" }, VISITOR_SECRET, {
+    expiresIn: VISITOR_TOKEN_MAX_AGE / 1000,
+  });
+};
+
+// Reads the signed visitor token from the X-Visitor-Token header or the
+// visitor cookie. Missing or invalid tokens leave req.visitorId as null.
+const identifyVisitor = (req, res, next) => {
+  const token =
+    req.get("X-Visitor-Token") ||
+    readCookie(req.headers.cookie, VISITOR_COOKIE_NAME);
+
+  req.visitorId = null;
+
+  if (token) {
+    try {
+      const payload = jwt.verify(token, VISITOR_SECRET);
+      if (payload.type === "visitor") req.visitorId = payload.sub;
+    } catch {
+      // Treated as an anonymous request without identity
+    }
+  }
+
+  next();
+};
+
+// Visitor id when available, otherwise a hash of the client IP and user agent
+const getVisitorKey = (req) => {
+  if (req.visitorId) return `visitor:${req.visitorId}`;
+
+  const fingerprint = `${req.ip}|${req.get("User-Agent") || ""}`;
+  return `anon:${crypto
+    .createHash("sha256")
+    .update(fingerprint)
+    .digest("hex")}`;
+};
+
+const requireVisitor = [
+  identifyVisitor,
+  (req, res, next) => {
+    if (!req.visitorId) {
+      return res.status(401).json({
+        success: false,
+        message: "Visitor token required. Request one from POST /api/visitors",
+      });
+    }
+    next();
+  },
+];
+
+// Issue Visitor Identity (returns the existing one when the token is valid)
+app.post("/api/visitors", identifyVisitor, (req, res) => {
+  const visitorId = req.visitorId || crypto.randomUUID();
+  const token = signVisitorToken(visitorId);
+  const isProduction = process.env.NODE_ENV === "production";
+
+  res.cookie(VISITOR_COOKIE_NAME, token, {
+    httpOnly: true,
+    secure: isProduction,
+    sameSite: isProduction ? "none" : "lax",
+    maxAge: VISITOR_TOKEN_MAX_AGE,
+  });
+
+  res.status(req.visitorId ? 200 : 201).json({
+    success: true,
+    data: {
+      visitorId,
+      token,
+    },
+  });
+});
+
+/* 
+=========================================================================================
+                        AUTH ROUTES
+=========================================================================================
+*/
+
+// Name, email and password from a request body, or an error message when
+// one is missing or not a string
+const readCredentials = (body, fields) => {
+  const missing = fields.filter(
+    (field) => typeof body?.[field] !== "string" || !body[field].trim()
+  );
+
+  if (missing.length) {
+    return { error: `${fields.join(", ")} are required and must be strings` };
+  }
+
+  return {
+    name: body.name && sanitizeInput(body.name),
+    email: sanitizeInput(body.email).toLowerCase(),
+    password: body.password,
+  };
+};
+
+// Constant-time comparison of a provided secret with the configured one
+const matchesSecret = (provided, secret) => {
+  if (typeof provided !== "string" || !secret) return false;
+
+  const hash = (value) => crypto.createHash("sha256").update(value).digest();
+  return crypto.timingSafeEqual(hash(provided), hash(secret));
+};
+
+// Create First Admin (needs ADMIN_BOOTSTRAP_SECRET, only while no admin exists)
+app.post(
+  "/api/auth/bootstrap",
+  asyncHandler(async (req, res) => {
+    if (!ADMIN_BOOTSTRAP_SECRET) {
+      return res.status(503).json({
+        success: false,
+        message: "ADMIN_BOOTSTRAP_SECRET is not configured",
+      });
+    }
+
+    if (!matchesSecret(req.body?.bootstrapSecret, ADMIN_BOOTSTRAP_SECRET)) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid bootstrap secret",
+      });
+    }
+
+    const credentials = readCredentials(req.body, [
+      "name",
+      "email",
+      "password",
+    ]);
+
+    if (credentials.error) {
+      return res.status(400).json({
+        success: false,
+        message: credentials.error,
+      });
+    }
+
+    if (await User.exists({ role: "admin" })) {
+      return res.status(409).json({
+        success: false,
+        message: "An admin already exists",
+      });
+    }
+
+    const user = await User.create({
+      name: credentials.name,
+      email: credentials.email,
+      password: credentials.password,
+      role: "admin",
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Admin account created",
+      data: {
+        user,
+        ...generateTokens(user),
+      },
+    });
+  })
+);
+
+// Register User (closed unless ALLOW_REGISTRATION=true; new accounts are
+// plain users, an admin grants roles)
+app.post(
+  "/api/auth/register",
+  asyncHandler(async (req, res) => {
+    if (!ALLOW_REGISTRATION) {
+      return res.status(403).json({
+        success: false,
+        message: "Registration is closed",
+      });
+    }
+
+    const credentials = readCredentials(req.body, [
+      "name",
+      "email",
+      "password",
+    ]);
+
+    if (credentials.error) {
+      return res.status(400).json({
+        success: false,
+        message: credentials.error,
+      });
+    }
+
+    const existingUser = await User.exists({ email: credentials.email });
+
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        message: "An account with this email already exists",
+      });
+    }
+
+    const user = await User.create({
+      name: credentials.name,
+      email: credentials.email,
+      password: credentials.password,
+      role: "user",
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Registration successful",
+      data: {
+        user,
+        ...generateTokens(user),
+      },
+    });
+  })
+);
+
+// Login User
+app.post(
+  "/api/auth/login",
+  asyncHandler(async (req, res) => {
+    const credentials = readCredentials(req.body, ["email", "password"]);
+
+    if (credentials.error) {
+      return res.status(400).json({
+        success: false,
+        message: credentials.error,
+      });
+    }
+
+    const user = await User.findOne({ email: credentials.email }).select(
+      "+password +tokenVersion"
+    );
+
+    if (!user || !(await user.comparePassword(credentials.password))) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid email or password",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Login successful",
+      data: {
+        user,
+        ...generateTokens(user),
+      },
+    });
+  })
+);
+
+// Refresh Tokens
+app.post(
+  "/api/auth/refresh",
+  asyncHandler(async (req, res) => {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: "Refresh token is required",
+      });
+    }
+
+    const payload = jwt.verify(refreshToken, JWT_REFRESH_SECRET);
+
+    if (payload.type !== "refresh") {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid token",
+      });
+    }
+
+    const user = await User.findById(payload.sub).select("+tokenVersion");
+
+    if (!user || user.tokenVersion !== payload.ver) {
+      return res.status(401).json({
+        success: false,
+        message: "Session is no longer valid. Please log in again",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: generateTokens(user),
+    });
+  })
+);
+
+// Logout User (revokes all outstanding tokens)
+app.post(
+  "/api/auth/logout",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    await User.findByIdAndUpdate(req.user._id, { $inc: { tokenVersion: 1 } });
+
+    res.status(200).json({
+      success: true,
+      message: "Logged out successfully",
+    });
+  })
+);
+
+// Get Current User
+app.get(
+  "/api/auth/me",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    res.status(200).json({
+      success: true,
+      data: req.user,
+    });
+  })
+);
+
+// Update User Role
+app.patch(
+  "/api/auth/users/:id/role",
+  requireAuth,
+  requireRole("admin"),
+  asyncHandler(async (req, res) => {
+    if (!validateObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid user ID format",
+      });
+    }
+
+    const { role } = req.body;
+
+    if (!role) {
+      return res.status(400).json({
+        success: false,
+        message: "Role is required",
+      });
+    }
+
+    // Changing the role also bumps tokenVersion so old tokens carry no stale role
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { role, $inc: { tokenVersion: 1 } },
+      { new: true, runValidators: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "User role updated successfully",
+      data: user,
+    });
+  })
+);
+
+/* 
+=========================================================================================
+                        CATEGORY ROUTES
+=========================================================================================
+*/
+
+// Create Category
+app.post(
+  "/api/categories",
+  requireAuth,
+  requireRole("admin", "editor"),
+  asyncHandler(async (req, res) => {
+    const { categoryName, parent } = req.body;
+
+    if (!categoryName || !categoryName.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Category name is required",
+      });
+    }
+
+    if (parent) {
+      const parentError = await validateCategoryParent(null, parent);
+      if (parentError) {
+        return res.status(400).json({
+          success: false,
+          message: parentError,
+        });
+      }
+    }
+
+    const sanitizedName = sanitizeInput(categoryName);
+
+    const existingCategory = await Category.findOne({
+      categoryName: {
+        $regex: new RegExp(`^${escapeRegex(sanitizedName)}$`, "i"),
+      },
+    });
+
+    if (existingCategory) {
+      return res.status(409).json({
+        success: false,
+        message: "Category already exists",
+      });
+    }
+
+    const category = await Category.create({
+      categoryName: sanitizedName,
+      parent: parent || null,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Category created successfully",
+      data: category,
+    });
+  })
+);
+
+// Recount Articles per Category
+app.post(
+  "/api/categories/recount",
+  requireAuth,
+  requireRole("admin"),
+  asyncHandler(async (req, res) => {
+    const result = await recountCategoryArticles();
+
+    res.status(200).json({
+      success: true,
+      message: "Category article counts recalculated",
+      data: result,
+    });
+  })
+);
+
+// Get All Categories
+app.get(
+  "/api/categories",
+  asyncHandler(async (req, res) => {
+    const categories = await Category.find()
+      .sort({ createdAt: -1 })
+      .lean()
+      .select("-__v");
+
+    res.status(200).json({
+      success: true,
+      count: categories.length,
+      data: categories,
+    });
+  })
+);
+
+// Get Category Tree (MUST come before /:id route)
+app.get(
+  "/api/categories/tree",
+  asyncHandler(async (req, res) => {
+    const categories = await Category.find()
+      .sort({ categoryName: 1 })
+      .lean()
+      .select("categoryName slug parent articleCount");
+
+    const nodes = new Map(
+      categories.map((category) => [
+        String(category._id),
+        { ...category, children: [] },
+      ])
+    );
+    const roots = [];
+
+    for (const node of nodes.values()) {
+      const parentNode = node.parent && nodes.get(String(node.parent));
+      // Orphans (parent deleted outside the API) are shown as roots
+      if (parentNode) parentNode.children.push(node);
+      else roots.push(node);
+    }
+
+    // Each node's total includes the articles of all its descendants
+    const rollUp = (node) => {
+      node.totalArticleCount = node.children.reduce(
+        (sum, child) => sum + rollUp(child),
+        node.articleCount || 0
+      );
+      return node.totalArticleCount;
+    };
+    roots.forEach(rollUp);
+
+    res.status(200).json({
+      success: true,
+      count: categories.length,
+      data: roots,
+    });
+  })
+);
+
+// Get Single Category
+app.get(
+  "/api/categories/:id",
+  asyncHandler(async (req, res) => {
+    if (!validateObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid category ID format",
+      });
+    }
+
+    const category = await Category.findById(req.params.id).lean();
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: "Category not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: category,
+    });
+  })
+);
+
+// Update Category
+app.put(
+  "/api/categories/:id",
+  requireAuth,
+  requireRole("admin", "editor"),
+  asyncHandler(async (req, res) => {
+    if (!validateObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid category ID format",
+      });
+    }
+
+    const { categoryName, parent } = req.body;
+
+    if (categoryName === undefined && parent === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: "Category name or parent is required",
+      });
+    }
+
+    if (
+      categoryName !== undefined &&
+      (typeof categoryName !== "string" || !categoryName.trim())
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Category name is required",
+      });
+    }
+
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: "Category not found",
+      });
+    }
+
+    if (categoryName !== undefined) {
+      const sanitizedName = sanitizeInput(categoryName);
+
+      const existingCategory = await Category.findOne({
+        categoryName: {
+          $regex: new RegExp(`^${escapeRegex(sanitizedName)}$`, "i"),
+        },
+        _id: { $ne: req.params.id },
+      });
+
+      if (existingCategory) {
+        return res.status(409).json({
+          success: false,
+          message: "Category name already exists",
+        });
+      }
+
+      category.categoryName = sanitizedName;
+    }
+
+    // An empty parent moves the category to the top level
+    if (parent !== undefined) {
+      if (parent) {
+        const parentError = await validateCategoryParent(category._id, parent);
+        if (parentError) {
+          return res.status(400).json({
+            success: false,
+            message: parentError,
+          });
+        }
+      }
+      category.parent = parent || null;
+    }
+
+    // save() so the slug is regenerated along with the name
+    await category.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Category updated successfully",
+      data: category,
+    });
+  })
+);
+
+// Delete Category
+app.delete(
+  "/api/categories/:id",
+  requireAuth,
+  requireRole("admin"),
+  asyncHandler(async (req, res) => {
+    if (!validateObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid category ID format",
+      });
+    }
+
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: "Category not found",
+      });
+    }
+
+    const articleCount = await Article.countDocuments({
+      category: category._id,
+    });
+    const reassignTo = req.query.reassignTo || req.body?.reassignTo;
+
+    if (articleCount > 0 && !reassignTo) {
+      return res.status(409).json({
+        success: false,
+        message: `Category still has ${articleCount} article(s). Pass reassignTo with another category ID to move them first`,
+        articleCount,
+      });
+    }
+
+    let targetCategory = null;
+
+    if (articleCount > 0) {
+      targetCategory = validateObjectId(reassignTo)
+        ? await Category.findById(reassignTo)
+        : null;
+
+      if (!targetCategory || targetCategory._id.equals(category._id)) {
+        return res.status(400).json({
+          success: false,
+          message: "reassignTo must be the ID of another existing category",
+        });
+      }
+
+      // Trashed articles move too, so they can be restored later
+      await Article.updateMany(
+        { category: category._id },
+        { category: targetCategory._id }
+      ).setOptions({ withDeleted: true });
+      await Category.updateOne(
+        { _id: targetCategory._id },
+        { $inc: { articleCount } }
+      );
+    }
+
+    // Subcategories move up to the deleted category's parent
+    await Category.updateMany(
+      { parent: category._id },
+      { parent: category.parent || null }
+    );
+    await Category.findByIdAndDelete(category._id);
+
+    res.status(200).json({
+      success: true,
+      message: targetCategory
+        ? `Category deleted and ${articleCount} article(s) moved to ${targetCategory.categoryName}`
+        : "Category deleted successfully",
+    });
+  })
+);
+
+/* 
+=========================================================================================
+                        ARTICLE ROUTES
+=========================================================================================
+*/
+
+// Publish due scheduled articles lazily, at most once a minute per instance,
+// so their status is current between cron runs
+let lastScheduledPublishRun = 0;
+
+app.use("/api/articles", (req, res, next) => {
+  if (Date.now() - lastScheduledPublishRun > 60 * 1000) {
+    lastScheduledPublishRun = Date.now();
+    publishDueArticles().catch((error) =>
+      console.error("❌ Failed to publish scheduled articles:", error.message)
+    );
+  }
+  next();
+});
+
+// Get Most Viewed Articles (MUST come before /:id route)
+app.get(
+  "/api/articles/most-viewed",
+  asyncHandler(async (req, res) => {
+    const { limit = 10 } = req.query;
+
+    const articles = await Article.find(publicArticleQuery())
+      .sort({ views: -1 })
+      .limit(Math.min(+limit, 50))
+      .select("title slug views category img createdAt likes")
+      .populate(CATEGORY_POPULATE)
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: articles.length,
+      data: articles,
+    });
+  })
+);
+
+// Get Most Shared Articles (MUST come before /:id route)
+app.get(
+  "/api/articles/most-shared",
+  asyncHandler(async (req, res) => {
+    const { limit = 10 } = req.query;
+
+    const articles = await Article.find(
+      publicArticleQuery({ shares: { $gt: 0 } })
+    )
+      .sort({ shares: -1 })
+      .limit(Math.min(+limit, 50))
+      .select("title slug views shares category img createdAt likes")
+      .populate(CATEGORY_POPULATE)
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: articles.length,
+      data: articles,
+    });
+  })
+);
+
+// Get Liked Articles (MUST come before /:id route)
+app.get(
+  "/api/articles/liked",
+  requireVisitor,
+  asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10 } = req.query;
+    const userIdentifier = req.visitorId;
+    const skip = (Math.max(1, +page) - 1) * Math.min(+limit, 50);
+    const limitValue = Math.min(+limit, 50);
+
+    const [likes, total] = await Promise.all([
+      Like.find({ userId: userIdentifier })
+        .sort({ createdAt: -1 })
+        .limit(limitValue)
+        .skip(skip)
+        .populate({
+          path: "articleId",
+          select: ARTICLE_LIST_SELECT,
+          match: publishedArticleFilter(),
+          populate: CATEGORY_POPULATE,
+        })
+        .lean(),
+      Like.countDocuments({ userId: userIdentifier }),
+    ]);
+
+    // Most recently liked first; deleted or unpublished articles are skipped
+    const likedArticles = likes
+      .filter((like) => like.articleId)
+      .map((like) => ({ ...like.articleId, likedAt: like.createdAt }));
+
+    res.status(200).json({
+      success: true,
+      count: likedArticles.length,
+      total,
+      page: +page,
+      totalPages: Math.ceil(total / limitValue),
+      data: likedArticles,
+    });
+  })
+);
+
+// Get Article by Slug (MUST come before /:id route)
+app.get(
+  "/api/articles/slug/:slug",
+  optionalAuth,
+  identifyVisitor,
+  asyncHandler(async (req, res) => {
+    const slug = req.params.slug.normalize("NFC").toLowerCase();
+    // Staff can preview drafts and scheduled articles
+    const scope = (query) => visibleArticleQuery(req, query);
+
+    const article = await Article.findOne(scope({ slug }))
+      .populate(CATEGORY_POPULATE)
+      .lean();
+
+    if (!article) {
+      // Redirect links that still use a previous slug
+      const renamedArticle = await Article.findOne(scope({ slugHistory: slug }))
+        .select("slug")
+        .lean();
+
+      if (renamedArticle) {
+        return res.redirect(
+          301,
+          `/api/articles/slug/${encodeURIComponent(renamedArticle.slug)}`
+        );
+      }
+
+      return res.status(404).json({
+        success: false,
+        message: "Article not found",
+      });
+    }
+
+    // Track view asynchronously (fire and forget, deduplicated per visitor)
+    recordArticleView(article._id, getVisitorKey(req)).catch((error) =>
+      console.error("❌ Failed to track view:", error.message)
+    );
+
+    res.status(200).json({
+      success: true,
+      data: article,
+    });
+  })
+);
+
+// Get All Articles
+app.get(
+  "/api/articles",
+  asyncHandler(async (req, res) => {
+    const { category, includeSubcategories, search, tag, tags } = req.query;
+
+    const query = {};
+    if (category) {
+      // Accepts a category ID, slug or name; unknown categories match nothing
+      const matchedCategory = await resolveCategory(category);
+
+      if (!matchedCategory) {
+        query.category = { $in: [] };
+      } else if (includeSubcategories === "true") {
+        const descendantIds = await getDescendantCategoryIds(
+          matchedCategory._id
+        );
+        query.category = { $in: [matchedCategory._id, ...descendantIds] };
+      } else {
+        query.category = matchedCategory._id;
+      }
+    }
+    if (search) {
+      const sanitizedSearch = escapeRegex(sanitizeInput(search));
+      query.$or = [
+        { title: { $regex: sanitizedSearch, $options: "i" } },
+        { description: { $regex: sanitizedSearch, $options: "i" } },
+      ];
+    }
+
+    // ?tag=react or ?tags=react,mongodb (articles must carry every tag)
+    const tagFilter = normalizeTags(tags || tag);
+    if (tagFilter.length) query.tags = { $all: tagFilter };
+
+    const { docs: articles, meta } = await paginateQuery(
+      Article,
+      publicArticleQuery(query),
+      {
+        sortSpec: parseSortSpec(req.query, ARTICLE_SORT_FIELDS),
+        select: ARTICLE_LIST_SELECT,
+        populate: CATEGORY_POPULATE,
+        ...getPaginationParams(req.query),
+      }
+    );
+
+    res.status(200).json({
+      success: true,
+      count: articles.length,
+      ...meta,
+      data: articles,
+    });
+  })
+);
+
+// Create Article
+app.post(
+  "/api/articles",
+  requireAuth,
+  requireRole("admin", "editor"),
+  upload.fields([
+    { name: "avatar", maxCount: 1 },
+    { name: "img", maxCount: 1 },
+  ]),
+  asyncHandler(async (req, res) => {
+    const { category, title, description, code, content, tags } = req.body;
+
+    // Validate required fields
+    if (!category || !title || !description || !code) {
+      return res.status(400).json({
+        success: false,
+        message: "All fields (category, title, description, code) are required",
+      });
+    }
+
+    const publishing = getPublishingUpdate(req.body);
+
+    if (publishing.error) {
+      return res.status(400).json({
+        success: false,
+        message: publishing.error,
+      });
+    }
+
+    // Each image is either an uploaded file or an existing media ID
+    const avatarInput = {
+      file: req.files?.avatar?.[0],
+      mediaId: req.body.avatarMediaId,
+      folder: "articles/avatars",
+    };
+    const imgInput = {
+      file: req.files?.img?.[0],
+      mediaId: req.body.imgMediaId,
+      folder: "articles/images",
+    };
+
+    if (
+      !(avatarInput.file || avatarInput.mediaId) ||
+      !(imgInput.file || imgInput.mediaId)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Avatar and image are required (upload files or pass avatarMediaId and imgMediaId)",
+      });
+    }
+
+    const matchedCategory = await resolveCategory(category);
+
+    if (!matchedCategory) {
+      return res.status(400).json({
+        success: false,
+        message: "Category not found",
+      });
+    }
+
+    // Sanitize inputs
+    const sanitizedData = {
+      category: matchedCategory._id,
+      title: sanitizeInput(title),
+      description: sanitizeInput(description),
+      code: code, // Code can contain special characters
+      content: typeof content === "string" ? content : "", // Markdown, sanitized when rendered
+      tags: normalizeTags(tags),
+      ...publishing.data,
+    };
+
+    // Upload images in parallel
+    const images = await resolveMediaInputs(
+      [avatarInput, imgInput],
+      req.user._id
+    );
+    const [{ media: avatarMedia }, { media: imgMedia }] = images;
+
+    // Create article, discarding fresh uploads if it fails
+    let article;
+    try {
+      article = await Article.create({
+        ...sanitizedData,
+        avatar: avatarMedia.url,
+        avatarPublicId: avatarMedia.publicId,
+        avatarVariants: toImageVariants(avatarMedia),
+        img: imgMedia.url,
+        imgPublicId: imgMedia.publicId,
+        imgVariants: toImageVariants(imgMedia),
+      });
+    } catch (error) {
+      await discardUploadedMedia(images);
+      throw error;
+    }
+
+    // Update category count asynchronously
+    Category.updateOne(
+      { _id: matchedCategory._id },
+      { $inc: { articleCount: 1 } }
+    ).exec();
+
+    res.status(201).json({
+      success: true,
+      message: "Article created successfully",
+      data: article,
+    });
+  })
+);
+
+// Get Single Article by ID
+app.get(
+  "/api/articles/:id",
+  optionalAuth,
+  identifyVisitor,
+  asyncHandler(async (req, res) => {
+    if (!validateObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid article ID format",
+      });
+    }
+
+    // Staff can preview drafts and scheduled articles
+    const article = await Article.findOne(
+      visibleArticleQuery(req, { _id: req.params.id })
+    )
+      .populate(CATEGORY_POPULATE)
+      .lean();
+
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        message: "Article not found",
+      });
+    }
+
+    // Track view asynchronously (deduplicated per visitor)
+    recordArticleView(article._id, getVisitorKey(req)).catch((error) =>
+      console.error("❌ Failed to track view:", error.message)
+    );
+
+    res.status(200).json({
+      success: true,
+      data: article,
+    });
+  })
+);
+
+// Update Article
+app.put(
+  "/api/articles/:id",
+  requireAuth,
+  requireRole("admin", "editor"),
+  upload.fields([
+    { name: "avatar", maxCount: 1 },
+    { name: "img", maxCount: 1 },
+  ]),
+  asyncHandler(async (req, res) => {
+    if (!validateObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid article ID format",
+      });
+    }
+
+    const article = await Article.findById(req.params.id);
+
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        message: "Article not found",
+      });
+    }
+
+    const updateData = {};
+
+    // Sanitize text fields
+    if (req.body.title) updateData.title = sanitizeInput(req.body.title);
+    if (req.body.description)
+      updateData.description = sanitizeInput(req.body.description);
+    if (req.body.category) {
+      const matchedCategory = await resolveCategory(req.body.category);
+
+      if (!matchedCategory) {
+        return res.status(400).json({
+          success: false,
+          message: "Category not found",
+        });
+      }
+      updateData.category = matchedCategory._id;
+    }
+    if (req.body.code) updateData.code = req.body.code;
+    if (typeof req.body.content === "string") {
+      updateData.content = req.body.content;
+    }
+    if (req.body.tags !== undefined) {
+      updateData.tags = normalizeTags(req.body.tags);
+    }
+
+    const publishing = getPublishingUpdate(req.body, article.status);
+
+    if (publishing.error) {
+      return res.status(400).json({
+        success: false,
+        message: publishing.error,
+      });
+    }
+    Object.assign(updateData, publishing.data);
+
+    // Handle image updates (uploaded files or existing media IDs)
+    const images = await resolveMediaInputs(
+      [
+        {
+          file: req.files?.avatar?.[0],
+          mediaId: req.body.avatarMediaId,
+          folder: "articles/avatars",
+        },
+        {
+          file: req.files?.img?.[0],
+          mediaId: req.body.imgMediaId,
+          folder: "articles/images",
+        },
+      ],
+      req.user._id
+    );
+    const [avatarImage, imgImage] = images;
+    const { avatarPublicId: oldAvatarPublicId, imgPublicId: oldImgPublicId } =
+      article;
+
+    if (avatarImage) {
+      updateData.avatar = avatarImage.media.url;
+      updateData.avatarPublicId = avatarImage.media.publicId;
+      updateData.avatarVariants = toImageVariants(avatarImage.media);
+    }
+    if (imgImage) {
+      updateData.img = imgImage.media.url;
+      updateData.imgPublicId = imgImage.media.publicId;
+      updateData.imgVariants = toImageVariants(imgImage.media);
+    }
+
+    let updatedArticle;
+    try {
+      updatedArticle = await saveArticleWithRevision(
+        article,
+        updateData,
+        req.user._id
+      );
+    } catch (error) {
+      await discardUploadedMedia(images);
+      throw error;
+    }
+
+    // Release replaced images only once the new ones are persisted
+    if (avatarImage) releaseMedia(oldAvatarPublicId);
+    if (imgImage) releaseMedia(oldImgPublicId);
+
+    await updatedArticle.populate(CATEGORY_POPULATE);
+
+    res.status(200).json({
+      success: true,
+      message: "Article updated successfully",
+      data: updatedArticle,
+    });
+  })
+);
+
+// Delete Article
+app.delete(
+  "/api/articles/:id",
+  requireAuth,
+  requireRole("admin"),
+  asyncHandler(async (req, res) => {
+    if (!validateObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid article ID format",
+      });
+    }
+
+    const article = await Article.findById(req.params.id);
+
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        message: "Article not found",
+      });
+    }
+
+    // Images, likes and stats stay until the article is purged from the trash
+    await Promise.all([
+      Article.updateOne({ _id: article._id }, { deletedAt: new Date() }),
+      Category.updateOne(
+        { _id: article.category, articleCount: { $gt: 0 } },
+        { $inc: { articleCount: -1 } }
+      ),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: "Article moved to trash",
+    });
+  })
+);
+
+/* 
+=========================================================================================
+                        ARTICLE WORKFLOW
+=========================================================================================
+*/
+
+// Get Articles by Status (drafts, scheduled, archived, ...)
+app.get(
+  "/api/admin/articles",
+  requireAuth,
+  requireRole("admin", "editor"),
+  asyncHandler(async (req, res) => {
+    const { status } = req.query;
+
+    if (status && !ARTICLE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of ${ARTICLE_STATUSES.join(", ")}`,
+      });
+    }
+
+    const query = {};
+    if (status) {
+      query.status =
+        status === "published" ? { $in: ["published", null] } : status;
+    }
+
+    const { docs: articles, meta } = await paginateQuery(Article, query, {
+      sortSpec: parseSortSpec(req.query, ARTICLE_SORT_FIELDS, "updatedAt"),
+      select: ARTICLE_LIST_SELECT,
+      populate: CATEGORY_POPULATE,
+      ...getPaginationParams(req.query),
+    });
+
+    res.status(200).json({
+      success: true,
+      count: articles.length,
+      ...meta,
+      data: articles,
+    });
+  })
+);
+
+// Publish Due Scheduled Articles (called by Vercel Cron)
+app.get(
+  "/api/cron/publish-scheduled",
+  requireCronSecret,
+  asyncHandler(async (req, res) => {
+    const published = await publishDueArticles();
+
+    res.status(200).json({
+      success: true,
+      message: "Scheduled articles published",
+      data: { published },
+    });
+  })
+);
+
+/* 
+=========================================================================================
+                        ARTICLE REVISIONS
+=========================================================================================
+*/
+
+// Get Article Revisions (newest first, without the code snapshots)
+app.get(
+  "/api/articles/:id/revisions",
+  requireAuth,
+  requireRole("admin", "editor"),
+  asyncHandler(async (req, res) => {
+    if (!validateObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid article ID format",
+      });
+    }
+
+    const articleExists = await Article.exists({ _id: req.params.id });
+
+    if (!articleExists) {
+      return res.status(404).json({
+        success: false,
+        message: "Article not found",
+      });
+    }
+
+    const { docs: revisions, meta } = await paginateQuery(
+      ArticleRevision,
+      { articleId: req.params.id },
+      {
+        sortSpec: [
+          ["revision", -1],
+          ["_id", -1],
+        ],
+        select: "-code -content -__v",
+        populate: { path: "editedBy", select: "name email" },
+        ...getPaginationParams(req.query),
+      }
+    );
+
+    res.status(200).json({
+      success: true,
+      count: revisions.length,
+      ...meta,
+      data: revisions,
+    });
+  })
+);
+
+// Diff Two Revisions (?from=<revId>&to=<revId|current>, to defaults to current)
+app.get(
+  "/api/articles/:id/revisions/diff",
+  requireAuth,
+  requireRole("admin", "editor"),
+  asyncHandler(async (req, res) => {
+    const { from, to = "current" } = req.query;
+
+    if (
+      !validateObjectId(req.params.id) ||
+      !validateObjectId(from) ||
+      (to !== "current" && !validateObjectId(to))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid article or revision ID format",
+      });
+    }
+
+    const [article, fromVersion, toVersion] = await Promise.all([
+      Article.findById(req.params.id).lean(),
+      ArticleRevision.findOne({ _id: from, articleId: req.params.id }).lean(),
+      to === "current"
+        ? null
+        : ArticleRevision.findOne({ _id: to, articleId: req.params.id }).lean(),
+    ]);
+
+    if (!article || !fromVersion || (to !== "current" && !toVersion)) {
+      return res.status(404).json({
+        success: false,
+        message: "Article or revision not found",
+      });
+    }
+
+    const target = toVersion || article;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        from: { _id: fromVersion._id, revision: fromVersion.revision },
+        to:
+          to === "current"
+            ? "current"
+            : { _id: toVersion._id, revision: toVersion.revision },
+        changes: diffArticleVersions(fromVersion, target).map((field) => ({
+          field,
+          from: fromVersion[field] ?? null,
+          to: target[field] ?? null,
+        })),
+      },
+    });
+  })
+);
+
+// Restore Revision (the version it replaces is itself kept as a revision)
+app.post(
+  "/api/articles/:id/revisions/:revId/restore",
+  requireAuth,
+  requireRole("admin", "editor"),
+  asyncHandler(async (req, res) => {
+    if (
+      !validateObjectId(req.params.id) ||
+      !validateObjectId(req.params.revId)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid article or revision ID format",
+      });
+    }
+
+    const [article, revision] = await Promise.all([
+      Article.findById(req.params.id),
+      ArticleRevision.findOne({
+        _id: req.params.revId,
+        articleId: req.params.id,
+      }).lean(),
+    ]);
+
+    if (!article || !revision) {
+      return res.status(404).json({
+        success: false,
+        message: "Article or revision not found",
+      });
+    }
+
+    if (!(await Category.exists({ _id: revision.category }))) {
+      return res.status(409).json({
+        success: false,
+        message: "The revision's category no longer exists",
+      });
+    }
+
+    const updatedArticle = await saveArticleWithRevision(
+      article,
+      // Revisions saved before a field existed (e.g. content) leave it as is
+      Object.fromEntries(
+        REVISION_FIELDS.filter((field) => revision[field] !== undefined).map(
+          (field) => [field, revision[field]]
+        )
+      ),
+      req.user._id
+    );
+
+    await updatedArticle.populate(CATEGORY_POPULATE);
+
+    res.status(200).json({
+      success: true,
+      message: `Article restored to revision ${revision.revision}`,
+      data: updatedArticle,
+    });
+  })
+);
+
+/* 
+=========================================================================================
+                        TAG ROUTES
+=========================================================================================
+*/
+
+// Get All Tags with Article Counts
+app.get(
+  "/api/tags",
+  asyncHandler(async (req, res) => {
+    const { limit = 100 } = req.query;
+
+    const tags = await Article.aggregate([
+      { $match: publishedArticleFilter() },
+      { $unwind: "$tags" },
+      { $group: { _id: "$tags", articleCount: { $sum: 1 } } },
+      { $sort: { articleCount: -1, _id: 1 } },
+      { $limit: Math.min(Math.max(1, +limit || 100), 500) },
+      { $project: { _id: 0, tag: "$_id", articleCount: 1 } },
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: tags.length,
+      data: tags,
+    });
+  })
+);
+
+// Get Articles by Tag
+app.get(
+  "/api/tags/:tag/articles",
+  asyncHandler(async (req, res) => {
+    const tag = normalizeTag(req.params.tag);
+
+    if (!tag) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid tag",
+      });
+    }
+
+    const { docs: articles, meta } = await paginateQuery(
+      Article,
+      publicArticleQuery({ tags: tag }),
+      {
+        sortSpec: parseSortSpec(req.query, ARTICLE_SORT_FIELDS),
+        select: ARTICLE_LIST_SELECT,
+        populate: CATEGORY_POPULATE,
+        ...getPaginationParams(req.query),
+      }
+    );
+
+    res.status(200).json({
+      success: true,
+      tag,
+      count: articles.length,
+      ...meta,
+      data: articles,
+    });
+  })
+);
+
+/* 
+=========================================================================================
+                        ARTICLE LIKE/UNLIKE SYSTEM
+=========================================================================================
+*/
+
+// Like Article
+app.post(
+  "/api/articles/:id/like",
+  requireVisitor,
+  asyncHandler(async (req, res) => {
+    if (!validateObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid article ID format",
+      });
+    }
+
+    const userIdentifier = req.visitorId;
+
+    const articleExists = await Article.exists(
+      publicArticleQuery({ _id: req.params.id })
+    );
+
+    if (!articleExists) {
+      return res.status(404).json({
+        success: false,
+        message: "Article not found",
+      });
+    }
+
+    try {
+      await Like.create({ articleId: req.params.id, userId: userIdentifier });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: "You have already liked this article",
+        });
+      }
+      throw error;
+    }
+
+    const article = await Article.findByIdAndUpdate(
+      req.params.id,
+      { $inc: { likes: 1 } },
+      { new: true, select: "likes _id" }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Article liked successfully",
+      data: {
+        likes: article.likes,
+        articleId: article._id,
+      },
+    });
+  })
+);
+
+// Unlike Article
+app.post(
+  "/api/articles/:id/unlike",
+  requireVisitor,
+  asyncHandler(async (req, res) => {
+    if (!validateObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid article ID format",
+      });
+    }
+
+    const userIdentifier = req.visitorId;
+
+    const articleExists = await Article.exists(
+      publicArticleQuery({ _id: req.params.id })
+    );
+
+    if (!articleExists) {
+      return res.status(404).json({
+        success: false,
+        message: "Article not found",
+      });
+    }
+
+    const like = await Like.findOneAndDelete({
+      articleId: req.params.id,
+      userId: userIdentifier,
+    });
+
+    if (!like) {
+      return res.status(400).json({
+        success: false,
+        message: "You haven't liked this article",
+      });
+    }
+
+    // The likes guard keeps the counter from going negative
+    const article = await Article.findOneAndUpdate(
+      { _id: req.params.id, likes: { $gt: 0 } },
+      { $inc: { likes: -1 } },
+      { new: true, select: "likes _id" }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Article unliked successfully",
+      data: {
+        likes: article?.likes ?? 0,
+        articleId: req.params.id,
+      },
+    });
+  })
+);
+
+// Check Like Status
+app.get(
+  "/api/articles/:id/like-status",
+  optionalAuth,
+  identifyVisitor,
+  asyncHandler(async (req, res) => {
+    if (!validateObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid article ID format",
+      });
+    }
+
+    // Visitors without an identity cannot have liked anything yet
+    const [article, isLiked] = await Promise.all([
+      Article.findOne(visibleArticleQuery(req, { _id: req.params.id }))
+        .lean()
+        .select("likes _id"),
+      req.visitorId &&
+        Like.exists({ articleId: req.params.id, userId: req.visitorId }),
+    ]);
+
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        message: "Article not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        isLiked: Boolean(isLiked),
+        likeCount: article.likes,
+        articleId: article._id,
+      },
+    });
+  })
+);
+
+// Get Like Statistics
+app.get(
+  "/api/articles/:id/like-stats",
+  optionalAuth,
+  asyncHandler(async (req, res) => {
+    if (!validateObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid article ID format",
+      });
+    }
+
+    const [article, uniqueLikers] = await Promise.all([
+      Article.findOne(visibleArticleQuery(req, { _id: req.params.id }))
+        .lean()
+        .select("likes _id"),
+      Like.countDocuments({ articleId: req.params.id }),
+    ]);
+
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        message: "Article not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        totalLikes: article.likes,
+        uniqueLikers,
+      },
+    });
+  })
+);
+
+/* 
+=========================================================================================
+                        ARTICLE VIEW TRACKING
+=========================================================================================
+*/
+
+// Track Article View
+app.post(
+  "/api/articles/:id/view",
+  identifyVisitor,
+  asyncHandler(async (req, res) => {
+    if (!validateObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid article ID format",
+      });
+    }
+
+    const articleExists = await Article.exists(
+      publicArticleQuery({ _id: req.params.id })
+    );
+
+    if (!articleExists) {
+      return res.status(404).json({
+        success: false,
+        message: "Article not found",
+      });
+    }
+
+    const counted = await recordArticleView(req.params.id, getVisitorKey(req));
+    const article = await Article.findById(req.params.id)
+      .lean()
+      .select("views _id");
+
+    res.status(200).json({
+      success: true,
+      message: counted
+        ? "View tracked successfully"
+        : "View already counted recently",
+      data: {
+        views: article.views,
+        articleId: article._id,
+        counted,
+      },
+    });
+  })
+);
+
+// Get View Statistics
+app.get(
+  "/api/articles/:id/view-stats",
+  optionalAuth,
+  asyncHandler(async (req, res) => {
+    if (!validateObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid article ID format",
+      });
+    }
+
+    const days = +(req.query.days || 30);
+
+    if (!VIEW_STATS_RANGES.includes(days)) {
+      return res.status(400).json({
+        success: false,
+        message: `days must be one of ${VIEW_STATS_RANGES.join(", ")}`,
+      });
+    }
+
+    const article = await Article.findOne(
+      visibleArticleQuery(req, { _id: req.params.id })
+    )
+      .lean()
+      .select("views title _id");
+
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        message: "Article not found",
+      });
+    }
+
+    // Oldest day first, ending today (UTC)
+    const dates = Array.from({ length: days }, (_, index) => {
+      const date = new Date();
+      date.setUTCDate(date.getUTCDate() - (days - 1 - index));
+      return toDateKey(date);
+    });
+
+    const buckets = await ArticleDailyView.find({
+      articleId: article._id,
+      date: { $gte: dates[0] },
+    })
+      .lean()
+      .select("date views");
+
+    const viewsByDate = new Map(
+      buckets.map((bucket) => [bucket.date, bucket.views])
+    );
+    const series = dates.map((date) => ({
+      date,
+      views: viewsByDate.get(date) || 0,
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        totalViews: article.views,
+        articleId: article._id,
+        title: article.title,
+        days,
+        periodViews: series.reduce((sum, day) => sum + day.views, 0),
+        series,
+      },
+    });
+  })
+);
+
+/* 
+=========================================================================================
+                        COMMENT ROUTES
+=========================================================================================
+*/
+
+// Get Comments for Article
+app.get(
+  "/api/articles/:id/comments",
+  asyncHandler(async (req, res) => {
+    if (!validateObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid article ID format",
+      });
+    }
+
+    const isTree = req.query.tree === "true";
+
+    const query = {
+      articleId: req.params.id,
+      status: { $in: PUBLIC_COMMENT_STATUSES },
+    };
+    // In tree mode pages are made of top-level comments with their replies
+    if (isTree) query.parentId = null;
+
+    const { docs: comments, meta } = await paginateQuery(Comment, query, {
+      sortSpec: parseSortSpec(req.query, COMMENT_SORT_FIELDS),
+      ...getPaginationParams(req.query, 20),
+    });
+
+    let formattedComments;
+
+    if (isTree) {
+      const replies = await Comment.find({
+        articleId: req.params.id,
+        status: { $in: PUBLIC_COMMENT_STATUSES },
+        ancestors: { $in: comments.map((comment) => comment._id) },
+      })
+        .lean()
+        .select("-__v");
+
+      formattedComments = buildCommentTree(comments, replies);
+    } else {
+      formattedComments = comments.map(formatComment);
+    }
+
+    res.status(200).json({
+      success: true,
+      count: formattedComments.length,
+      ...meta,
+      data: formattedComments,
+    });
+  })
+);
+
+// Create Comment
+app.post(
+  "/api/articles/:id/comments",
+  asyncHandler(async (req, res) => {
+    if (!validateObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid article ID format",
+      });
+    }
+
+    const { user, text, parentId } = req.body;
+
+    if (!user || !text || !user.trim() || !text.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "User name and comment text are required",
+      });
+    }
+
+    if (parentId && !validateObjectId(parentId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid parent comment ID format",
+      });
+    }
+
+    // Check if article exists
+    const articleExists = await Article.exists(
+      publicArticleQuery({ _id: req.params.id })
+    );
+    if (!articleExists) {
+      return res.status(404).json({
+        success: false,
+        message: "Article not found",
+      });
+    }
+
+    let ancestors = [];
+
+    if (parentId) {
+      const parent = await Comment.findOne({
+        _id: parentId,
+        articleId: req.params.id,
+        status: { $in: PUBLIC_COMMENT_STATUSES },
+      })
+        .select("ancestors")
+        .lean();
+
+      if (!parent) {
+        return res.status(404).json({
+          success: false,
+          message: "Parent comment not found",
+        });
+      }
+
+      ancestors = [...(parent.ancestors || []), parent._id];
+
+      if (ancestors.length > MAX_COMMENT_DEPTH) {
+        return res.status(400).json({
+          success: false,
+          message: `Replies cannot be nested more than ${MAX_COMMENT_DEPTH} levels deep`,
+        });
+      }
+    }
+
+    const comment = await Comment.create({
+      articleId: req.params.id,
+      parentId: parentId || null,
+      ancestors,
+      user: sanitizeInput(user),
+      text: sanitizeInput(text),
+    });
+
+    res.status(201).json({
+      success: true,
+      message:
+        comment.status === "pending"
+          ? "Comment submitted and awaiting approval"
+          : "Comment added successfully",
+      data: {
+        ...formatComment(comment),
+        status: comment.status,
+        time: "এখন",
+      },
     });
   })
 );
 
-// Get Single Category
-app.get(
-  "/api/categories/:id",
+// Like Comment
+app.post(
+  "/api/comments/:id/like",
+  requireVisitor,
   asyncHandler(async (req, res) => {
     if (!validateObjectId(req.params.id)) {
       return res.status(400).json({
         success: false,
-        message: "Invalid category ID format",
+        message: "Invalid comment ID format",
       });
     }
 
-    const category = await Category.findById(req.params.id).lean();
+    const userIdentifier = req.visitorId;
 
-    if (!category) {
-      return res.status(404).json({
-        success: false,
-        message: "Category not found",
+    // Single atomic update: the likedBy guard makes concurrent likes no-ops
+    const comment = await Comment.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        status: { $in: PUBLIC_COMMENT_STATUSES },
+        likedBy: { $ne: userIdentifier },
+      },
+      { $inc: { likes: 1 }, $push: { likedBy: userIdentifier } },
+      { new: true, select: "likes _id" }
+    );
+
+    if (!comment) {
+      const commentExists = await Comment.exists({
+        _id: req.params.id,
+        status: { $in: PUBLIC_COMMENT_STATUSES },
       });
+
+      return commentExists
+        ? res.status(400).json({
+            success: false,
+            message: "You have already liked this comment",
+          })
+        : res.status(404).json({
+            success: false,
+            message: "Comment not found",
+          });
     }
 
     res.status(200).json({
       success: true,
-      data: category,
+      message: "Comment liked successfully",
+      data: {
+        likes: comment.likes,
+        commentId: comment._id,
+      },
     });
   })
 );
 
-// Update Category
-app.put(
-  "/api/categories/:id",
+// Unlike Comment
+app.post(
+  "/api/comments/:id/unlike",
+  requireVisitor,
   asyncHandler(async (req, res) => {
     if (!validateObjectId(req.params.id)) {
       return res.status(400).json({
         success: false,
-        message: "Invalid category ID format",
+        message: "Invalid comment ID format",
       });
     }
 
-    const { categoryName } = req.body;
+    const userIdentifier = req.visitorId;
 
-    if (!categoryName || !categoryName.trim()) {
-      return res.status(400).json({
-        success: false,
-        message: "Category name is required",
+    const comment = await Comment.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        status: { $in: PUBLIC_COMMENT_STATUSES },
+        likedBy: userIdentifier,
+      },
+      { $inc: { likes: -1 }, $pull: { likedBy: userIdentifier } },
+      { new: true, select: "likes _id" }
+    );
+
+    if (!comment) {
+      const commentExists = await Comment.exists({
+        _id: req.params.id,
+        status: { $in: PUBLIC_COMMENT_STATUSES },
       });
-    }
 
-    const sanitizedName = sanitizeInput(categoryName);
+      return commentExists
+        ? res.status(400).json({
+            success: false,
+            message: "You haven't liked this comment",
+          })
+        : res.status(404).json({
+            success: false,
+            message: "Comment not found",
+          });
+    }
 
-    const existingCategory = await Category.findOne({
-      categoryName: { $regex: new RegExp(`^${sanitizedName}$`, "i") },
-      _id: { $ne: req.params.id },
+    res.status(200).json({
+      success: true,
+      message: "Comment unliked successfully",
+      data: {
+        likes: comment.likes,
+        commentId: comment._id,
+      },
     });
+  })
+);
 
-    if (existingCategory) {
-      return res.status(409).json({
+// Check Comment Like Status
+app.get(
+  "/api/comments/:id/like-status",
+  identifyVisitor,
+  asyncHandler(async (req, res) => {
+    if (!validateObjectId(req.params.id)) {
+      return res.status(400).json({
         success: false,
-        message: "Category name already exists",
+        message: "Invalid comment ID format",
       });
     }
 
-    const category = await Category.findByIdAndUpdate(
-      req.params.id,
-      { categoryName: sanitizedName },
-      { new: true, runValidators: true }
-    );
+    const [comment, isLiked] = await Promise.all([
+      Comment.findOne({
+        _id: req.params.id,
+        status: { $in: PUBLIC_COMMENT_STATUSES },
+      })
+        .select("likes _id")
+        .lean(),
+      req.visitorId &&
+        Comment.exists({ _id: req.params.id, likedBy: req.visitorId }),
+    ]);
 
-    if (!category) {
+    if (!comment) {
       return res.status(404).json({
         success: false,
-        message: "Category not found",
+        message: "Comment not found",
       });
     }
 
     res.status(200).json({
       success: true,
-      message: "Category updated successfully",
-      data: category,
+      data: {
+        isLiked: Boolean(isLiked),
+        likeCount: comment.likes,
+        commentId: comment._id,
+      },
     });
   })
 );
 
-// Delete Category
+// Delete Comment
 app.delete(
-  "/api/categories/:id",
+  "/api/comments/:id",
+  requireAuth,
+  requireRole("admin", "editor"),
   asyncHandler(async (req, res) => {
     if (!validateObjectId(req.params.id)) {
       return res.status(400).json({
         success: false,
-        message: "Invalid category ID format",
+        message: "Invalid comment ID format",
       });
     }
 
-    const category = await Category.findByIdAndDelete(req.params.id);
+    const comment = await Comment.findById(req.params.id);
 
-    if (!category) {
+    if (!comment) {
       return res.status(404).json({
         success: false,
-        message: "Category not found",
+        message: "Comment not found",
       });
     }
 
+    // Trash the whole reply thread below the comment with the same timestamp,
+    // so restoring brings back exactly this thread
+    await Comment.updateMany(
+      { $or: [{ _id: comment._id }, { ancestors: comment._id }] },
+      { deletedAt: new Date() }
+    );
+
     res.status(200).json({
       success: true,
-      message: "Category deleted successfully",
+      message: "Comment moved to trash",
     });
   })
 );
 
-/* 
-=========================================================================================
-                        ARTICLE ROUTES
-=========================================================================================
-*/
-
-// Get Most Viewed Articles (MUST come before /:id route)
+// Get Comments for Moderation
 app.get(
-  "/api/articles/most-viewed",
+  "/api/comments",
+  requireAuth,
+  requireRole("admin", "editor"),
   asyncHandler(async (req, res) => {
-    const { limit = 10 } = req.query;
+    const { status, articleId, page = 1, limit = 20 } = req.query;
 
-    const articles = await Article.find()
-      .sort({ views: -1 })
-      .limit(Math.min(+limit, 50))
-      .select("title slug views category img createdAt likes")
-      .lean();
+    const query = {};
+    if (status) {
+      if (!COMMENT_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Status must be one of ${COMMENT_STATUSES.join(", ")}`,
+        });
+      }
+      query.status =
+        status === "approved" ? { $in: PUBLIC_COMMENT_STATUSES } : status;
+    }
+    if (articleId) {
+      if (!validateObjectId(articleId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid article ID format",
+        });
+      }
+      query.articleId = articleId;
+    }
+
+    const skip = (Math.max(1, +page) - 1) * Math.min(+limit, 50);
+    const limitValue = Math.min(+limit, 50);
+
+    const [comments, total] = await Promise.all([
+      Comment.find(query)
+        .sort({ createdAt: -1 })
+        .limit(limitValue)
+        .skip(skip)
+        .populate("articleId", "title slug")
+        .lean()
+        .select("-__v"),
+      Comment.countDocuments(query),
+    ]);
 
     res.status(200).json({
       success: true,
-      count: articles.length,
-      data: articles,
+      count: comments.length,
+      total,
+      page: +page,
+      totalPages: Math.ceil(total / limitValue),
+      data: comments,
     });
   })
 );
 
-// Get Liked Articles (MUST come before /:id route)
-app.get(
-  "/api/articles/liked",
+// Update Comment Status (approve, hide, mark as spam)
+app.patch(
+  "/api/comments/:id/status",
+  requireAuth,
+  requireRole("admin", "editor"),
   asyncHandler(async (req, res) => {
-    const { userId } = req.query;
-
-    if (!userId) {
+    if (!validateObjectId(req.params.id)) {
       return res.status(400).json({
         success: false,
-        message: "User ID is required",
+        message: "Invalid comment ID format",
       });
     }
 
-    const userIdentifier = sanitizeInput(userId);
-
-    const likedArticles = await Article.find({
-      likedBy: userIdentifier,
-    })
-      .sort({ createdAt: -1 })
-      .lean()
-      .select("-__v");
+    const { status } = req.body;
 
-    res.status(200).json({
-      success: true,
-      count: likedArticles.length,
-      data: likedArticles,
-    });
-  })
-);
+    if (!COMMENT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of ${COMMENT_STATUSES.join(", ")}`,
+      });
+    }
 
-// Get Article by Slug (MUST come before /:id route)
-app.get(
-  "/api/articles/slug/:slug",
-  asyncHandler(async (req, res) => {
-    const article = await Article.findOne({ slug: req.params.slug }).lean();
+    const comment = await Comment.findByIdAndUpdate(
+      req.params.id,
+      { status },
+      { new: true, runValidators: true }
+    ).select("-__v");
 
-    if (!article) {
+    if (!comment) {
       return res.status(404).json({
         success: false,
-        message: "Article not found",
+        message: "Comment not found",
       });
     }
 
-    // Increment view count asynchronously (fire and forget)
-    Article.findByIdAndUpdate(article._id, { $inc: { views: 1 } }).exec();
-
     res.status(200).json({
       success: true,
-      data: article,
+      message: `Comment marked as ${status}`,
+      data: comment,
     });
   })
 );
 
-// Get All Articles
+/* 
+=========================================================================================
+                        PROJECT ROUTES
+=========================================================================================
+*/
+
+// Get All Projects
 app.get(
-  "/api/articles",
+  "/api/projects",
   asyncHandler(async (req, res) => {
-    const {
-      category,
-      page = 1,
-      limit = 10,
-      search,
-      sortBy = "createdAt",
-    } = req.query;
+    const { category, search } = req.query;
 
     const query = {};
     if (category) query.category = sanitizeInput(category);
     if (search) {
-      const sanitizedSearch = sanitizeInput(search);
+      const sanitizedSearch = escapeRegex(sanitizeInput(search));
       query.$or = [
         { title: { $regex: sanitizedSearch, $options: "i" } },
         { description: { $regex: sanitizedSearch, $options: "i" } },
       ];
     }
 
-    const validSortFields = ["createdAt", "views", "likes", "title"];
-    const sortField = validSortFields.includes(sortBy) ? sortBy : "createdAt";
-
-    const skip = (Math.max(1, +page) - 1) * Math.min(+limit, 50);
-    const limitValue = Math.min(+limit, 50);
-
-    const [articles, total] = await Promise.all([
-      Article.find(query)
-        .sort({ [sortField]: -1 })
-        .limit(limitValue)
-        .skip(skip)
-        .lean()
-        .select("-__v"),
-      Article.countDocuments(query),
-    ]);
+    const { docs: projects, meta } = await paginateQuery(Project, query, {
+      sortSpec: parseSortSpec(req.query, PROJECT_SORT_FIELDS),
+      ...getPaginationParams(req.query),
+    });
 
     res.status(200).json({
       success: true,
-      count: articles.length,
-      total,
-      page: +page,
-      totalPages: Math.ceil(total / limitValue),
-      data: articles,
+      count: projects.length,
+      ...meta,
+      data: projects,
     });
   })
 );
 
-// Create Article
-app.post(
-  "/api/articles",
-  upload.fields([
-    { name: "avatar", maxCount: 1 },
-    { name: "img", maxCount: 1 },
-  ]),
+// Get Project by Slug (MUST come before /:id route)
+app.get(
+  "/api/projects/slug/:slug",
   asyncHandler(async (req, res) => {
-    const { category, title, description, code } = req.body;
+    const project = await Project.findOne({
+      slug: req.params.slug.toLowerCase(),
+    }).lean();
 
-    // Validate required fields
-    if (!category || !title || !description || !code) {
-      return res.status(400).json({
+    if (!project) {
+      return res.status(404).json({
         success: false,
-        message: "All fields (category, title, description, code) are required",
+        message: "Project not found",
       });
     }
 
-    // Validate files
-    if (!req.files?.avatar?.[0] || !req.files?.img?.[0]) {
+    res.status(200).json({
+      success: true,
+      data: project,
+    });
+  })
+);
+
+// Get Single Project
+app.get(
+  "/api/projects/:id",
+  asyncHandler(async (req, res) => {
+    if (!validateObjectId(req.params.id)) {
       return res.status(400).json({
         success: false,
-        message: "Avatar and image files are required",
+        message: "Invalid project ID format",
       });
     }
 
-    // Sanitize inputs
-    const sanitizedData = {
-      category: sanitizeInput(category),
-      title: sanitizeInput(title),
-      description: sanitizeInput(description),
-      code: code, // Code can contain special characters
-    };
-
-    // Upload images in parallel
-    const [avatarResult, imgResult] = await Promise.all([
-      uploadToCloudinary(req.files.avatar[0].buffer, "articles/avatars"),
-      uploadToCloudinary(req.files.img[0].buffer, "articles/images"),
-    ]);
-
-    // Create article
-    const article = await Article.create({
-      ...sanitizedData,
-      avatar: avatarResult.secure_url,
-      avatarPublicId: avatarResult.public_id,
-      img: imgResult.secure_url,
-      imgPublicId: imgResult.public_id,
-    });
+    const project = await Project.findById(req.params.id).lean();
 
-    // Update category count asynchronously
-    Category.findOneAndUpdate(
-      { categoryName: sanitizedData.category },
-      { $inc: { articleCount: 1 } }
-    ).exec();
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      });
+    }
 
-    res.status(201).json({
+    res.status(200).json({
       success: true,
-      message: "Article created successfully",
-      data: article,
+      data: project,
     });
   })
 );
 
-// Get Single Article by ID
-app.get(
-  "/api/articles/:id",
+// Create Project
+app.post(
+  "/api/projects",
+  requireAuth,
+  requireRole("admin", "editor"),
+  upload.single("image"),
   asyncHandler(async (req, res) => {
-    if (!validateObjectId(req.params.id)) {
+    const { errors, data } = validateProjectInput(req.body);
+
+    if (errors.length) {
       return res.status(400).json({
         success: false,
-        message: "Invalid article ID format",
+        message: "Validation Error",
+        errors,
       });
     }
 
-    const article = await Article.findById(req.params.id).lean();
-
-    if (!article) {
-      return res.status(404).json({
+    if (!req.file && !req.body.imageMediaId) {
+      return res.status(400).json({
         success: false,
-        message: "Article not found",
+        message:
+          "Project image is required (upload a file or pass imageMediaId)",
       });
     }
 
-    // Increment view count asynchronously
-    Article.findByIdAndUpdate(req.params.id, { $inc: { views: 1 } }).exec();
+    const images = await resolveMediaInputs(
+      [
+        {
+          file: req.file,
+          mediaId: req.body.imageMediaId,
+          folder: "projects/images",
+        },
+      ],
+      req.user._id
+    );
+    const [{ media: imageMedia }] = images;
+
+    let project;
+    try {
+      project = await Project.create({
+        ...data,
+        image: imageMedia.url,
+        imagePublicId: imageMedia.publicId,
+        imageVariants: toImageVariants(imageMedia),
+      });
+    } catch (error) {
+      await discardUploadedMedia(images);
+      throw error;
+    }
 
-    res.status(200).json({
+    res.status(201).json({
       success: true,
-      data: article,
+      message: "Project created successfully",
+      data: project,
     });
   })
 );
 
-// Update Article
+// Update Project
 app.put(
-  "/api/articles/:id",
-  upload.fields([
-    { name: "avatar", maxCount: 1 },
-    { name: "img", maxCount: 1 },
-  ]),
+  "/api/projects/:id",
+  requireAuth,
+  requireRole("admin", "editor"),
+  upload.single("image"),
   asyncHandler(async (req, res) => {
     if (!validateObjectId(req.params.id)) {
       return res.status(400).json({
         success: false,
-        message: "Invalid article ID format",
+        message: "Invalid project ID format",
       });
     }
 
-    const article = await Article.findById(req.params.id);
+    const project = await Project.findById(req.params.id);
 
-    if (!article) {
+    if (!project) {
       return res.status(404).json({
         success: false,
-        message: "Article not found",
+        message: "Project not found",
       });
     }
 
-    const updateData = {};
+    const { errors, data } = validateProjectInput(req.body, { partial: true });
 
-    // Sanitize text fields
-    if (req.body.title) updateData.title = sanitizeInput(req.body.title);
-    if (req.body.description)
-      updateData.description = sanitizeInput(req.body.description);
-    if (req.body.category)
-      updateData.category = sanitizeInput(req.body.category);
-    if (req.body.code) updateData.code = req.body.code;
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation Error",
+        errors,
+      });
+    }
 
-    // Handle avatar update
-    if (req.files?.avatar?.[0]) {
-      const avatarResult = await uploadToCloudinary(
-        req.files.avatar[0].buffer,
-        "articles/avatars"
-      );
-      updateData.avatar = avatarResult.secure_url;
-      updateData.avatarPublicId = avatarResult.public_id;
+    const oldImagePublicId = project.imagePublicId;
+
+    // Handle image update (uploaded file or existing media ID)
+    const images = await resolveMediaInputs(
+      [
+        {
+          file: req.file,
+          mediaId: req.body.imageMediaId,
+          folder: "projects/images",
+        },
+      ],
+      req.user._id
+    );
+    const [image] = images;
 
-      // Delete old avatar
-      deleteFromCloudinary(article.avatarPublicId);
+    if (image) {
+      data.image = image.media.url;
+      data.imagePublicId = image.media.publicId;
+      data.imageVariants = toImageVariants(image.media);
     }
 
-    // Handle image update
-    if (req.files?.img?.[0]) {
-      const imgResult = await uploadToCloudinary(
-        req.files.img[0].buffer,
-        "articles/images"
-      );
-      updateData.img = imgResult.secure_url;
-      updateData.imgPublicId = imgResult.public_id;
-
-      // Delete old image
-      deleteFromCloudinary(article.imgPublicId);
+    project.set(data);
+    try {
+      await project.save();
+    } catch (error) {
+      await discardUploadedMedia(images);
+      throw error;
     }
 
-    const updatedArticle = await Article.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true, runValidators: true }
-    );
+    // Release the old image only once the new one is persisted
+    if (image) releaseMedia(oldImagePublicId);
 
     res.status(200).json({
       success: true,
-      message: "Article updated successfully",
-      data: updatedArticle,
+      message: "Project updated successfully",
+      data: project,
     });
   })
 );
 
-// Delete Article
+// Delete Project
 app.delete(
-  "/api/articles/:id",
+  "/api/projects/:id",
+  requireAuth,
+  requireRole("admin"),
   asyncHandler(async (req, res) => {
     if (!validateObjectId(req.params.id)) {
       return res.status(400).json({
         success: false,
-        message: "Invalid article ID format",
+        message: "Invalid project ID format",
       });
     }
 
-    const article = await Article.findById(req.params.id);
+    const project = await Project.findById(req.params.id);
 
-    if (!article) {
+    if (!project) {
       return res.status(404).json({
         success: false,
-        message: "Article not found",
+        message: "Project not found",
       });
     }
 
-    // Delete images and article in parallel
-    await Promise.all([
-      deleteFromCloudinary(article.avatarPublicId),
-      deleteFromCloudinary(article.imgPublicId),
-      Article.findByIdAndDelete(req.params.id),
-      Category.findOneAndUpdate(
-        { categoryName: article.category },
-        { $inc: { articleCount: -1 } }
-      ),
-    ]);
+    // The image stays until the project is purged from the trash
+    await Project.updateOne({ _id: project._id }, { deletedAt: new Date() });
 
     res.status(200).json({
       success: true,
-      message: "Article deleted successfully",
+      message: "Project moved to trash",
     });
   })
 );
 
 /* 
 =========================================================================================
-                        ARTICLE LIKE/UNLIKE SYSTEM
+                        GALLERIES
 =========================================================================================
 */
 
-// Like Article
-app.post(
-  "/api/articles/:id/like",
-  asyncHandler(async (req, res) => {
-    if (!validateObjectId(req.params.id)) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid article ID format",
-      });
+const MAX_GALLERY_UPLOADS = 5;
+
+// Captions and alt texts arrive as an array, a JSON array string or a single
+// string. Unlike parseListInput, commas don't split them.
+const parseTextList = (input) => {
+  if (input === undefined || input === null) return [];
+  if (Array.isArray(input)) return input;
+
+  if (typeof input === "string" && input.trim().startsWith("[")) {
+    try {
+      const parsed = JSON.parse(input);
+      if (Array.isArray(parsed)) return parsed;
+    } catch {
+      // Treat it as a single caption
+    }
+  }
+  return [input];
+};
+
+// Gallery routes are identical for articles and projects
+const GALLERY_OWNERS = [
+  {
+    basePath: "/api/articles",
+    Model: Article,
+    label: "Article",
+    folder: "articles/gallery",
+  },
+  {
+    basePath: "/api/projects",
+    Model: Project,
+    label: "Project",
+    folder: "projects/gallery",
+  },
+];
+
+GALLERY_OWNERS.forEach(({ basePath, Model, label, folder }) => {
+  const findOwner = async (id) => {
+    if (!validateObjectId(id)) {
+      throw createHttpError(400, `Invalid ${label.toLowerCase()} ID format`);
     }
 
-    const { userId } = req.body;
-    const userIdentifier = userId
-      ? sanitizeInput(userId)
-      : `guest_${req.ip}_${Date.now()}`;
+    const owner = await Model.findById(id);
+    if (!owner) throw createHttpError(404, `${label} not found`);
 
-    const article = await Article.findById(req.params.id);
+    return owner;
+  };
 
-    if (!article) {
-      return res.status(404).json({
-        success: false,
-        message: "Article not found",
+  // Add Gallery Images. Uploaded "images" come first, then existing mediaIds;
+  // captions[i] and alts[i] belong to the i-th image in that order.
+  app.post(
+    `${basePath}/:id/gallery`,
+    requireAuth,
+    requireRole("admin", "editor"),
+    upload.array("images", MAX_GALLERY_UPLOADS),
+    asyncHandler(async (req, res) => {
+      const owner = await findOwner(req.params.id);
+
+      const inputs = [
+        ...(req.files || []).map((file) => ({ file, folder })),
+        ...parseListInput(req.body.mediaIds)
+          .map((mediaId) => String(mediaId).trim())
+          .filter(Boolean)
+          .map((mediaId) => ({ mediaId, folder })),
+      ];
+
+      if (!inputs.length) {
+        return res.status(400).json({
+          success: false,
+          message: "Upload images or pass mediaIds to add to the gallery",
+        });
+      }
+
+      if (owner.gallery.length + inputs.length > MAX_GALLERY_ITEMS) {
+        return res.status(400).json({
+          success: false,
+          message: `A gallery can hold at most ${MAX_GALLERY_ITEMS} images`,
+        });
+      }
+
+      const captions = parseTextList(req.body.captions);
+      const alts = parseTextList(req.body.alts);
+      const images = await resolveMediaInputs(inputs, req.user._id);
+
+      images.forEach(({ media }, index) => {
+        owner.gallery.push({
+          url: media.url,
+          publicId: media.publicId,
+          variants: toImageVariants(media),
+          caption: sanitizeInput(captions[index] || ""),
+          alt: sanitizeInput(alts[index] || ""),
+        });
       });
-    }
 
-    if (article.likedBy.includes(userIdentifier)) {
+      try {
+        await owner.save();
+      } catch (error) {
+        await discardUploadedMedia(images);
+        throw error;
+      }
+
+      res.status(201).json({
+        success: true,
+        message: "Gallery images added successfully",
+        data: owner.gallery,
+      });
+    })
+  );
+
+  // Reorder Gallery (body: { order: [itemId, ...] } listing every item once)
+  app.patch(
+    `${basePath}/:id/gallery/order`,
+    requireAuth,
+    requireRole("admin", "editor"),
+    asyncHandler(async (req, res) => {
+      const owner = await findOwner(req.params.id);
+      const order = parseListInput(req.body.order).map((itemId) =>
+        String(itemId).trim()
+      );
+      const itemsById = new Map(
+        owner.gallery.map((item) => [item._id.toString(), item])
+      );
+
+      if (
+        order.length !== itemsById.size ||
+        new Set(order).size !== order.length ||
+        !order.every((itemId) => itemsById.has(itemId))
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "order must list every gallery item ID exactly once",
+        });
+      }
+
+      owner.gallery = order.map((itemId) => itemsById.get(itemId));
+      await owner.save();
+
+      res.status(200).json({
+        success: true,
+        message: "Gallery reordered successfully",
+        data: owner.gallery,
+      });
+    })
+  );
+
+  // Update Gallery Item (caption / alt text)
+  app.patch(
+    `${basePath}/:id/gallery/:itemId`,
+    requireAuth,
+    requireRole("admin", "editor"),
+    asyncHandler(async (req, res) => {
+      const owner = await findOwner(req.params.id);
+      const item = validateObjectId(req.params.itemId)
+        ? owner.gallery.id(req.params.itemId)
+        : null;
+
+      if (!item) {
+        return res.status(404).json({
+          success: false,
+          message: "Gallery item not found",
+        });
+      }
+
+      if (req.body.caption !== undefined) {
+        item.caption = sanitizeInput(String(req.body.caption));
+      }
+      if (req.body.alt !== undefined) {
+        item.alt = sanitizeInput(String(req.body.alt));
+      }
+      await owner.save();
+
+      res.status(200).json({
+        success: true,
+        message: "Gallery item updated successfully",
+        data: item,
+      });
+    })
+  );
+
+  // Remove Gallery Item (the image is deleted unless used elsewhere)
+  app.delete(
+    `${basePath}/:id/gallery/:itemId`,
+    requireAuth,
+    requireRole("admin", "editor"),
+    asyncHandler(async (req, res) => {
+      const owner = await findOwner(req.params.id);
+      const item = validateObjectId(req.params.itemId)
+        ? owner.gallery.id(req.params.itemId)
+        : null;
+
+      if (!item) {
+        return res.status(404).json({
+          success: false,
+          message: "Gallery item not found",
+        });
+      }
+
+      owner.gallery.pull(item._id);
+      await owner.save();
+      await releaseMedia(item.publicId);
+
+      res.status(200).json({
+        success: true,
+        message: "Gallery item removed successfully",
+        data: owner.gallery,
+      });
+    })
+  );
+});
+
+/* 
+=========================================================================================
+                        TRASH
+=========================================================================================
+*/
+
+// What restoring and purging a trashed document involves, per trash type
+const TRASH_TYPES = {
+  articles: {
+    Model: Article,
+    populate: CATEGORY_POPULATE,
+    restore: async (article, body) => {
+      let categoryId = article.category;
+
+      // The category may have been deleted while the article was in the trash
+      if (!(await Category.exists({ _id: categoryId }))) {
+        const replacement = body?.category
+          ? await resolveCategory(body.category)
+          : null;
+
+        if (!replacement) {
+          throw createHttpError(
+            409,
+            "The article's category no longer exists. Pass category to restore it into another one"
+          );
+        }
+        categoryId = replacement._id;
+      }
+
+      await Article.updateOne(
+        { _id: article._id, deletedAt: { $ne: null } },
+        { deletedAt: null, category: categoryId }
+      );
+      await Category.updateOne(
+        { _id: categoryId },
+        { $inc: { articleCount: 1 } }
+      );
+    },
+    purge: async (article) => {
+      // Images may be shared, so release them after the article is gone
+      await Article.deleteOne({ _id: article._id });
+      await Promise.all([
+        releaseMedia(article.avatarPublicId),
+        releaseMedia(article.imgPublicId),
+        ...(article.gallery || []).map((item) => releaseMedia(item.publicId)),
+        Like.deleteMany({ articleId: article._id }),
+        ArticleDailyView.deleteMany({ articleId: article._id }),
+        Share.deleteMany({ articleId: article._id }),
+        ArticleRevision.deleteMany({ articleId: article._id }),
+        Comment.deleteMany({ articleId: article._id }),
+      ]);
+    },
+  },
+  projects: {
+    Model: Project,
+    restore: (project) =>
+      Project.updateOne(
+        { _id: project._id, deletedAt: { $ne: null } },
+        { deletedAt: null }
+      ),
+    purge: async (project) => {
+      await Project.deleteOne({ _id: project._id });
+      await Promise.all(
+        [
+          project.imagePublicId,
+          ...(project.gallery || []).map((item) => item.publicId),
+        ].map(releaseMedia)
+      );
+    },
+  },
+  comments: {
+    Model: Comment,
+    restore: async (comment) => {
+      if (
+        comment.parentId &&
+        !(await Comment.exists({ _id: comment.parentId }))
+      ) {
+        throw createHttpError(409, "Restore the parent comment first");
+      }
+
+      // Brings back the replies that were trashed along with the comment
+      await Comment.updateMany(
+        {
+          $or: [{ _id: comment._id }, { ancestors: comment._id }],
+          deletedAt: comment.deletedAt,
+        },
+        { deletedAt: null }
+      );
+    },
+    purge: (comment) =>
+      Comment.deleteMany({
+        $or: [{ _id: comment._id }, { ancestors: comment._id }],
+      }),
+  },
+};
+
+// Looks up the trash type and trashed document named in the route params
+const findTrashedItem = async (req) => {
+  const trashType = TRASH_TYPES[req.params.type];
+
+  if (!trashType) {
+    throw createHttpError(
+      400,
+      `Type must be one of ${Object.keys(TRASH_TYPES).join(", ")}`
+    );
+  }
+  if (!validateObjectId(req.params.id)) {
+    throw createHttpError(400, "Invalid ID format");
+  }
+
+  const item = await trashType.Model.findOne({
+    _id: req.params.id,
+    deletedAt: { $ne: null },
+  }).lean();
+
+  if (!item) throw createHttpError(404, "Item not found in trash");
+
+  return { trashType, item };
+};
+
+// Get Trash (?type=articles|projects|comments, most recently deleted first)
+app.get(
+  "/api/trash",
+  requireAuth,
+  requireRole("admin", "editor"),
+  asyncHandler(async (req, res) => {
+    const { type = "articles" } = req.query;
+    const trashType = TRASH_TYPES[type];
+
+    if (!trashType) {
       return res.status(400).json({
         success: false,
-        message: "You have already liked this article",
+        message: `Type must be one of ${Object.keys(TRASH_TYPES).join(", ")}`,
       });
     }
 
-    article.likes += 1;
-    article.likedBy.push(userIdentifier);
-    await article.save();
+    const { docs: items, meta } = await paginateQuery(
+      trashType.Model,
+      { deletedAt: { $ne: null } },
+      {
+        sortSpec: [
+          ["deletedAt", -1],
+          ["_id", -1],
+        ],
+        populate: trashType.populate,
+        ...getPaginationParams(req.query),
+      }
+    );
 
     res.status(200).json({
       success: true,
-      message: "Article liked successfully",
-      data: {
-        likes: article.likes,
-        articleId: article._id,
-      },
+      type,
+      count: items.length,
+      ...meta,
+      data: items,
     });
   })
 );
 
-// Unlike Article
+// Restore From Trash
 app.post(
-  "/api/articles/:id/unlike",
+  "/api/trash/:type/:id/restore",
+  requireAuth,
+  requireRole("admin", "editor"),
   asyncHandler(async (req, res) => {
-    if (!validateObjectId(req.params.id)) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid article ID format",
-      });
-    }
+    const { trashType, item } = await findTrashedItem(req);
 
-    const { userId } = req.body;
-    const userIdentifier = userId ? sanitizeInput(userId) : `guest_${req.ip}`;
+    await trashType.restore(item, req.body);
 
-    const article = await Article.findById(req.params.id);
+    res.status(200).json({
+      success: true,
+      message: "Item restored successfully",
+    });
+  })
+);
 
-    if (!article) {
-      return res.status(404).json({
-        success: false,
-        message: "Article not found",
-      });
-    }
+// Purge From Trash (permanent, also deletes the stored images)
+app.delete(
+  "/api/trash/:type/:id",
+  requireAuth,
+  requireRole("admin"),
+  asyncHandler(async (req, res) => {
+    const { trashType, item } = await findTrashedItem(req);
+
+    await trashType.purge(item);
+
+    res.status(200).json({
+      success: true,
+      message: "Item permanently deleted",
+    });
+  })
+);
+
+/* 
+=========================================================================================
+                        MEDIA LIBRARY
+=========================================================================================
+*/
+
+// Get Media (?folder=, newest first)
+app.get(
+  "/api/media",
+  requireAuth,
+  requireRole("admin", "editor"),
+  asyncHandler(async (req, res) => {
+    const { folder } = req.query;
 
-    if (!article.likedBy.includes(userIdentifier)) {
+    if (folder && !MEDIA_FOLDERS.includes(folder)) {
       return res.status(400).json({
         success: false,
-        message: "You haven't liked this article",
+        message: `Folder must be one of ${MEDIA_FOLDERS.join(", ")}`,
       });
     }
 
-    article.likes = Math.max(0, article.likes - 1);
-    article.likedBy = article.likedBy.filter((id) => id !== userIdentifier);
-    await article.save();
+    const { docs: media, meta } = await paginateQuery(
+      Media,
+      folder ? { folder } : {},
+      {
+        sortSpec: [
+          ["createdAt", -1],
+          ["_id", -1],
+        ],
+        populate: { path: "owner", select: "name email" },
+        ...getPaginationParams(req.query),
+      }
+    );
 
     res.status(200).json({
       success: true,
-      message: "Article unliked successfully",
-      data: {
-        likes: article.likes,
-        articleId: article._id,
-      },
+      count: media.length,
+      ...meta,
+      data: media.map((item) => ({
+        ...item,
+        variants: mediaStorage.getVariants(item.publicId),
+      })),
     });
   })
 );
 
-// Check Like Status
-app.get(
-  "/api/articles/:id/like-status",
+// Upload Media
+app.post(
+  "/api/media",
+  requireAuth,
+  requireRole("admin", "editor"),
+  upload.single("file"),
   asyncHandler(async (req, res) => {
-    if (!validateObjectId(req.params.id)) {
+    const { folder = "media" } = req.body;
+
+    if (!req.file) {
       return res.status(400).json({
         success: false,
-        message: "Invalid article ID format",
+        message: "File is required",
       });
     }
 
-    const { userId } = req.query;
-    const userIdentifier = userId ? sanitizeInput(userId) : `guest_${req.ip}`;
-
-    const article = await Article.findById(req.params.id).lean();
-
-    if (!article) {
-      return res.status(404).json({
+    if (!MEDIA_FOLDERS.includes(folder)) {
+      return res.status(400).json({
         success: false,
-        message: "Article not found",
+        message: `Folder must be one of ${MEDIA_FOLDERS.join(", ")}`,
       });
     }
 
-    res.status(200).json({
+    const media = await storeMedia(req.file, folder, req.user._id);
+
+    res.status(201).json({
       success: true,
+      message: "Media uploaded successfully",
       data: {
-        isLiked: article.likedBy.includes(userIdentifier),
-        likeCount: article.likes,
-        articleId: article._id,
+        ...media.toObject(),
+        variants: mediaStorage.getVariants(media.publicId),
       },
     });
   })
 );
 
-// Get Like Statistics
-app.get(
-  "/api/articles/:id/like-stats",
+// Delete Media (refused while an article or project still uses it)
+app.delete(
+  "/api/media/:id",
+  requireAuth,
+  requireRole("admin"),
   asyncHandler(async (req, res) => {
     if (!validateObjectId(req.params.id)) {
       return res.status(400).json({
         success: false,
-        message: "Invalid article ID format",
+        message: "Invalid media ID format",
       });
     }
 
-    const article = await Article.findById(req.params.id)
-      .lean()
-      .select("likes likedBy _id");
+    const media = await Media.findById(req.params.id);
 
-    if (!article) {
+    if (!media) {
       return res.status(404).json({
         success: false,
-        message: "Article not found",
+        message: "Media not found",
+      });
+    }
+
+    const referenced = await findReferencedPublicIds([media.publicId]);
+
+    if (referenced.has(media.publicId)) {
+      return res.status(409).json({
+        success: false,
+        message: "Media is still used by an article or project",
       });
     }
 
+    await discardMedia(media.publicId);
+
     res.status(200).json({
       success: true,
-      data: {
-        totalLikes: article.likes,
-        uniqueLikers: article.likedBy.length,
-      },
+      message: "Media deleted successfully",
+    });
+  })
+);
+
+// Sweep Unused Media (?dryRun=true only reports what would be deleted)
+app.post(
+  "/api/admin/media/sweep",
+  requireAuth,
+  requireRole("admin"),
+  asyncHandler(async (req, res) => {
+    const { scanned, unused } = await sweepUnusedMedia({
+      dryRun: req.query.dryRun === "true",
+    });
+
+    res.status(200).json({
+      success: true,
+      message:
+        req.query.dryRun === "true"
+          ? "Unused media found"
+          : "Unused media deleted",
+      data: { scanned, removed: unused.length, publicIds: unused },
+    });
+  })
+);
+
+// Sweep Unused Media (called by Vercel Cron)
+app.get(
+  "/api/cron/sweep-media",
+  requireCronSecret,
+  asyncHandler(async (req, res) => {
+    const { scanned, unused } = await sweepUnusedMedia();
+
+    res.status(200).json({
+      success: true,
+      message: "Unused media deleted",
+      data: { scanned, removed: unused.length },
     });
   })
 );
 
 /* 
 =========================================================================================
-                        ARTICLE VIEW TRACKING
+                        SEARCH
 =========================================================================================
 */
 
-// Track Article View
-app.post(
-  "/api/articles/:id/view",
+// Unified Search (articles and projects, ranked by text relevance)
+app.get(
+  "/api/search",
   asyncHandler(async (req, res) => {
-    if (!validateObjectId(req.params.id)) {
+    const { q, type = "all", category, limit = 10 } = req.query;
+    const searchText = sanitizeTextSearch(q);
+
+    if (!searchText) {
       return res.status(400).json({
         success: false,
-        message: "Invalid article ID format",
+        message: "Search query (q) is required",
       });
     }
 
-    const article = await Article.findByIdAndUpdate(
-      req.params.id,
-      { $inc: { views: 1 } },
-      { new: true, select: "views _id" }
-    );
-
-    if (!article) {
-      return res.status(404).json({
+    if (!["all", "articles", "projects"].includes(type)) {
+      return res.status(400).json({
         success: false,
-        message: "Article not found",
+        message: "Type must be one of all, articles, projects",
       });
     }
 
-    res.status(200).json({
-      success: true,
-      message: "View tracked successfully",
-      data: {
-        views: article.views,
-        articleId: article._id,
-      },
+    const limitValue = Math.min(+limit || 10, 50);
+    const articleQuery = publicArticleQuery({
+      $text: { $search: searchText },
     });
-  })
-);
-
-// Get View Statistics
-app.get(
-  "/api/articles/:id/view-stats",
-  asyncHandler(async (req, res) => {
-    if (!validateObjectId(req.params.id)) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid article ID format",
-      });
+    const projectQuery = { $text: { $search: searchText } };
+
+    if (category) {
+      // Articles reference categories by ID, projects store the name as text
+      const matchedCategory = await resolveCategory(category);
+      const categoryName = matchedCategory
+        ? matchedCategory.categoryName
+        : sanitizeInput(category);
+
+      articleQuery.category = matchedCategory
+        ? matchedCategory._id
+        : { $in: [] };
+      projectQuery.category = {
+        $regex: new RegExp(`^${escapeRegex(categoryName)}$`, "i"),
+      };
     }
 
-    const article = await Article.findById(req.params.id)
-      .lean()
-      .select("views title _id");
+    const terms = [
+      ...new Set(
+        searchText
+          .toLowerCase()
+          .split(" ")
+          .filter((term) => term.length > 1)
+      ),
+    ];
 
-    if (!article) {
-      return res.status(404).json({
-        success: false,
-        message: "Article not found",
-      });
-    }
+    const searchModel = async (Model, query, resultType, fields, populate) => {
+      const [documents, total] = await Promise.all([
+        Model.find(query, { score: { $meta: "textScore" } })
+          .sort({ score: { $meta: "textScore" } })
+          .limit(limitValue)
+          .select(fields)
+          .populate(populate || [])
+          .lean(),
+        Model.countDocuments(query),
+      ]);
+
+      const results = documents.map((document) => ({
+        ...document,
+        type: resultType,
+        highlights: {
+          title: highlightText(document.title, terms),
+          description: highlightText(document.description, terms),
+        },
+      }));
+
+      return { results, total };
+    };
+
+    const [articles, projects] = await Promise.all([
+      type === "projects"
+        ? { results: [], total: 0 }
+        : searchModel(
+            Article,
+            articleQuery,
+            "article",
+            "title slug description category img views likes createdAt",
+            CATEGORY_POPULATE
+          ),
+      type === "articles"
+        ? { results: [], total: 0 }
+        : searchModel(
+            Project,
+            projectQuery,
+            "project",
+            "title slug description category image technologies createdAt"
+          ),
+    ]);
+
+    const results = [...articles.results, ...projects.results]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limitValue);
 
     res.status(200).json({
       success: true,
-      data: {
-        totalViews: article.views,
-        articleId: article._id,
-        title: article.title,
+      query: searchText,
+      count: results.length,
+      totals: {
+        articles: articles.total,
+        projects: projects.total,
       },
+      data: results,
     });
   })
 );
 
-/* 
-=========================================================================================
-                        COMMENT ROUTES
-=========================================================================================
-*/
+const suggestionCache = createTtlCache({ ttlMs: 60 * 1000, maxEntries: 500 });
 
-// Get Comments for Article
+// Search Suggestions (prefix matches for autocomplete)
 app.get(
-  "/api/articles/:id/comments",
+  "/api/search/suggest",
   asyncHandler(async (req, res) => {
-    if (!validateObjectId(req.params.id)) {
+    const { q, limit = 5 } = req.query;
+    const prefix = sanitizeInput(String(q || ""))
+      .slice(0, 50)
+      .toLowerCase();
+
+    if (!prefix) {
       return res.status(400).json({
         success: false,
-        message: "Invalid article ID format",
+        message: "Search query (q) is required",
       });
     }
 
-    const { page = 1, limit = 20 } = req.query;
-    const skip = (Math.max(1, +page) - 1) * Math.min(+limit, 50);
-    const limitValue = Math.min(+limit, 50);
+    const limitValue = Math.min(+limit || 5, 10);
+    const cacheKey = `${prefix}|${limitValue}`;
+    const cached = suggestionCache.get(cacheKey);
 
-    const [comments, total] = await Promise.all([
-      Comment.find({ articleId: req.params.id })
-        .sort({ createdAt: -1 })
+    if (cached) {
+      return res.status(200).json({
+        success: true,
+        cached: true,
+        data: cached,
+      });
+    }
+
+    // Matches the start of any word, not only the start of the text
+    const prefixRegex = new RegExp(`(^|\\s)${escapeRegex(prefix)}`, "i");
+
+    const [articles, categories, technologies] = await Promise.all([
+      Article.find(publicArticleQuery({ title: prefixRegex }))
+        .sort({ views: -1, likes: -1 })
         .limit(limitValue)
-        .skip(skip)
-        .lean()
-        .select("-__v"),
-      Comment.countDocuments({ articleId: req.params.id }),
+        .select("title slug views likes")
+        .lean(),
+      Category.find({ categoryName: prefixRegex })
+        .sort({ articleCount: -1 })
+        .limit(limitValue)
+        .select("categoryName slug articleCount")
+        .lean(),
+      Project.aggregate([
+        { $unwind: "$technologies" },
+        { $match: { technologies: prefixRegex } },
+        {
+          $group: {
+            _id: { $toLower: "$technologies" },
+            name: { $first: "$technologies" },
+            projectCount: { $sum: 1 },
+          },
+        },
+        { $sort: { projectCount: -1, name: 1 } },
+        { $limit: limitValue },
+        { $project: { _id: 0, name: 1, projectCount: 1 } },
+      ]),
     ]);
 
-    const formattedComments = comments.map((comment) => ({
-      _id: comment._id,
-      user: comment.user,
-      text: comment.text,
-      likes: comment.likes,
-      time: formatTimeAgo(comment.createdAt),
-      createdAt: comment.createdAt,
-    }));
+    const suggestions = { articles, categories, technologies };
+    suggestionCache.set(cacheKey, suggestions);
 
     res.status(200).json({
       success: true,
-      count: formattedComments.length,
-      total,
-      page: +page,
-      totalPages: Math.ceil(total / limitValue),
-      data: formattedComments,
+      cached: false,
+      data: suggestions,
     });
   })
 );
 
-// Create Comment
+/* 
+=========================================================================================
+                        SHARE TRACKING
+=========================================================================================
+*/
+
+// Track Article Share
 app.post(
-  "/api/articles/:id/comments",
+  "/api/articles/:id/share",
+  identifyVisitor,
   asyncHandler(async (req, res) => {
     if (!validateObjectId(req.params.id)) {
       return res.status(400).json({
@@ -1232,17 +5735,21 @@ app.post(
       });
     }
 
-    const { user, text } = req.body;
+    const platform = String(req.body.platform || "")
+      .trim()
+      .toLowerCase();
 
-    if (!user || !text || !user.trim() || !text.trim()) {
+    if (!SHARE_PLATFORMS.includes(platform)) {
       return res.status(400).json({
         success: false,
-        message: "User name and comment text are required",
+        message: `Platform must be one of ${SHARE_PLATFORMS.join(", ")}`,
       });
     }
 
-    // Check if article exists
-    const articleExists = await Article.exists({ _id: req.params.id });
+    const articleExists = await Article.exists(
+      publicArticleQuery({ _id: req.params.id })
+    );
+
     if (!articleExists) {
       return res.status(404).json({
         success: false,
@@ -1250,191 +5757,299 @@ app.post(
       });
     }
 
-    const comment = await Comment.create({
+    await Share.create({
       articleId: req.params.id,
-      user: sanitizeInput(user),
-      text: sanitizeInput(text),
+      platform,
+      visitorKey: getVisitorKey(req),
     });
 
-    res.status(201).json({
+    const article = await Article.findByIdAndUpdate(
+      req.params.id,
+      { $inc: { shares: 1 } },
+      { new: true, select: "shares _id" }
+    );
+
+    res.status(200).json({
       success: true,
-      message: "Comment added successfully",
+      message: "Share tracked successfully",
       data: {
-        _id: comment._id,
-        user: comment.user,
-        text: comment.text,
-        likes: comment.likes,
-        time: "এখন",
-        createdAt: comment.createdAt,
+        shares: article.shares,
+        platform,
+        articleId: article._id,
       },
     });
   })
 );
 
-// Like Comment
-app.post(
-  "/api/comments/:id/like",
+// Get Share Statistics
+app.get(
+  "/api/articles/:id/share-stats",
+  optionalAuth,
   asyncHandler(async (req, res) => {
     if (!validateObjectId(req.params.id)) {
       return res.status(400).json({
         success: false,
-        message: "Invalid comment ID format",
+        message: "Invalid article ID format",
       });
     }
 
-    const comment = await Comment.findByIdAndUpdate(
-      req.params.id,
-      { $inc: { likes: 1 } },
-      { new: true, select: "likes _id" }
-    );
+    const article = await Article.findOne(
+      visibleArticleQuery(req, { _id: req.params.id })
+    )
+      .lean()
+      .select("shares _id");
 
-    if (!comment) {
+    if (!article) {
       return res.status(404).json({
         success: false,
-        message: "Comment not found",
+        message: "Article not found",
       });
     }
 
+    const platformCounts = await Share.aggregate([
+      { $match: { articleId: article._id } },
+      { $group: { _id: "$platform", count: { $sum: 1 } } },
+    ]);
+
+    // Every platform is listed, including those never used
+    const byPlatform = Object.fromEntries(
+      SHARE_PLATFORMS.map((platform) => [platform, 0])
+    );
+    for (const { _id: platform, count } of platformCounts) {
+      byPlatform[platform] = count;
+    }
+
     res.status(200).json({
       success: true,
-      message: "Comment liked successfully",
       data: {
-        likes: comment.likes,
-        commentId: comment._id,
+        totalShares: article.shares || 0,
+        byPlatform,
+        articleId: article._id,
       },
     });
   })
 );
 
-// Delete Comment
-app.delete(
-  "/api/comments/:id",
-  asyncHandler(async (req, res) => {
-    if (!validateObjectId(req.params.id)) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid comment ID format",
-      });
-    }
+/* 
+=========================================================================================
+                        MIGRATIONS
+=========================================================================================
+*/
 
-    const comment = await Comment.findByIdAndDelete(req.params.id);
+// Backfill slugs for projects created before slugs existed (safe to re-run)
+app.post(
+  "/api/admin/migrations/project-slugs",
+  requireAuth,
+  requireRole("admin"),
+  asyncHandler(async (req, res) => {
+    // Trashed projects too, so they have a slug when restored
+    const projects = await Project.find({
+      $or: [{ slug: null }, { slug: "" }],
+    })
+      .setOptions({ withDeleted: true })
+      .select("title")
+      .lean();
 
-    if (!comment) {
-      return res.status(404).json({
-        success: false,
-        message: "Comment not found",
+    // Write only the slug: hand-edited records may not pass today's
+    // validators (e.g. github without a scheme). Sequential so each
+    // generated slug sees the previous ones.
+    for (const project of projects) {
+      const slug = await generateUniqueSlug(
+        Project,
+        project.title,
+        project._id
+      );
+      await Project.updateOne({ _id: project._id }, { slug }).setOptions({
+        withDeleted: true,
       });
     }
 
     res.status(200).json({
       success: true,
-      message: "Comment deleted successfully",
+      message: "Project slugs backfilled successfully",
+      data: {
+        updated: projects.length,
+      },
     });
   })
 );
 
-/* 
-=========================================================================================
-                        PROJECT ROUTES
-=========================================================================================
-*/
-
-// Get All Projects
-app.get(
-  "/api/projects",
+// Move likes stored in the legacy Article.likedBy arrays into the Like
+// collection and resync the counters (safe to re-run)
+app.post(
+  "/api/admin/migrations/article-likes",
+  requireAuth,
+  requireRole("admin"),
   asyncHandler(async (req, res) => {
-    const { page = 1, limit = 10, category, search } = req.query;
+    // likedBy is no longer part of the schema, so read the raw documents
+    const articles = await Article.collection
+      .find({ likedBy: { $exists: true } }, { projection: { likedBy: 1 } })
+      .toArray();
+
+    let migratedLikes = 0;
+
+    for (const article of articles) {
+      const userIds = [...new Set(article.likedBy || [])];
+
+      if (userIds.length) {
+        const result = await Like.bulkWrite(
+          userIds.map((userId) => ({
+            updateOne: {
+              filter: { articleId: article._id, userId },
+              update: { $setOnInsert: { articleId: article._id, userId } },
+              upsert: true,
+            },
+          }))
+        );
+        migratedLikes += result.upsertedCount;
+      }
 
-    const query = {};
-    if (category) query.category = sanitizeInput(category);
-    if (search) {
-      const sanitizedSearch = sanitizeInput(search);
-      query.$or = [
-        { title: { $regex: sanitizedSearch, $options: "i" } },
-        { description: { $regex: sanitizedSearch, $options: "i" } },
-      ];
+      const likes = await Like.countDocuments({ articleId: article._id });
+      await Article.collection.updateOne(
+        { _id: article._id },
+        { $set: { likes }, $unset: { likedBy: "" } }
+      );
     }
 
-    const skip = (Math.max(1, +page) - 1) * Math.min(+limit, 50);
-    const limitValue = Math.min(+limit, 50);
-
-    const [projects, total] = await Promise.all([
-      Project.find(query)
-        .sort({ createdAt: -1 })
-        .limit(limitValue)
-        .skip(skip)
-        .lean()
-        .select("-__v"),
-      Project.countDocuments(query),
-    ]);
-
     res.status(200).json({
       success: true,
-      count: projects.length,
-      total,
-      page: +page,
-      totalPages: Math.ceil(total / limitValue),
-      data: projects,
+      message: "Article likes migrated successfully",
+      data: {
+        articles: articles.length,
+        migratedLikes,
+      },
     });
   })
 );
 
-// Get Single Project
-app.get(
-  "/api/projects/:id",
+// Convert Article.category from category names to Category references,
+// creating categories for names that have none, then resync the counters
+// (safe to re-run)
+app.post(
+  "/api/admin/migrations/article-categories",
+  requireAuth,
+  requireRole("admin"),
   asyncHandler(async (req, res) => {
-    if (!validateObjectId(req.params.id)) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid project ID format",
-      });
-    }
+    // Legacy string values can't be cast by the schema, so use the raw driver
+    const categoryNames = await Article.collection.distinct("category", {
+      category: { $type: "string" },
+    });
 
-    const project = await Project.findById(req.params.id).lean();
+    let createdCategories = 0;
+    let migratedArticles = 0;
 
-    if (!project) {
-      return res.status(404).json({
-        success: false,
-        message: "Project not found",
-      });
+    for (const categoryName of categoryNames) {
+      let category = await resolveCategory(categoryName);
+
+      if (!category) {
+        category = await Category.create({ categoryName });
+        createdCategories += 1;
+      }
+
+      const result = await Article.collection.updateMany(
+        { category: categoryName },
+        { $set: { category: category._id } }
+      );
+      migratedArticles += result.modifiedCount;
     }
 
+    const recount = await recountCategoryArticles();
+
     res.status(200).json({
       success: true,
-      data: project,
+      message: "Article categories migrated successfully",
+      data: {
+        migratedArticles,
+        createdCategories,
+        recountedCategories: recount.updated,
+      },
     });
   })
 );
 
-/* 
-=========================================================================================
-                        SHARE TRACKING
-=========================================================================================
-*/
-
-// Track Article Share
+// Store zero counters on articles saved before a counter existed, so cursor
+// pagination sorted by them (e.g. ?sort=-shares) doesn't skip those articles
+// (safe to re-run)
 app.post(
-  "/api/articles/:id/share",
+  "/api/admin/migrations/article-counters",
+  requireAuth,
+  requireRole("admin"),
   asyncHandler(async (req, res) => {
-    if (!validateObjectId(req.params.id)) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid article ID format",
-      });
+    const updated = {};
+
+    for (const field of ["views", "likes", "shares"]) {
+      const result = await Article.updateMany(
+        { [field]: { $exists: false } },
+        { $set: { [field]: 0 } }
+      ).setOptions({ withDeleted: true });
+      updated[field] = result.modifiedCount;
     }
 
-    const articleExists = await Article.exists({ _id: req.params.id });
+    res.status(200).json({
+      success: true,
+      message: "Article counters backfilled successfully",
+      data: { updated },
+    });
+  })
+);
 
-    if (!articleExists) {
-      return res.status(404).json({
-        success: false,
-        message: "Article not found",
-      });
-    }
+// Record images uploaded before the media library existed, so they can be
+// reused and are covered by the sweep (safe to re-run)
+app.post(
+  "/api/admin/migrations/media",
+  requireAuth,
+  requireRole("admin"),
+  asyncHandler(async (req, res) => {
+    const [articles, projects] = await Promise.all([
+      Article.find()
+        .setOptions({ withDeleted: true })
+        .select("avatar avatarPublicId img imgPublicId")
+        .lean(),
+      Project.find()
+        .setOptions({ withDeleted: true })
+        .select("image imagePublicId")
+        .lean(),
+    ]);
+
+    const assets = [
+      ...articles.flatMap((article) => [
+        {
+          publicId: article.avatarPublicId,
+          url: article.avatar,
+          folder: "articles/avatars",
+        },
+        {
+          publicId: article.imgPublicId,
+          url: article.img,
+          folder: "articles/images",
+        },
+      ]),
+      ...projects.map((project) => ({
+        publicId: project.imagePublicId,
+        url: project.image,
+        folder: "projects/images",
+      })),
+    ].filter((asset) => asset.publicId && asset.url);
+
+    const result = assets.length
+      ? await Media.bulkWrite(
+          assets.map((asset) => ({
+            updateOne: {
+              filter: { publicId: asset.publicId },
+              update: { $setOnInsert: asset },
+              upsert: true,
+            },
+          }))
+        )
+      : { upsertedCount: 0 };
 
     res.status(200).json({
       success: true,
-      message: "Share tracked successfully",
+      message: "Media library backfilled successfully",
+      data: {
+        assets: assets.length,
+        created: result.upsertedCount,
+      },
     });
   })
 );
@@ -1453,9 +6068,15 @@ app.get("/", (req, res) => {
     status: "running",
     timestamp: new Date().toISOString(),
     endpoints: {
+      auth: "/api/auth",
+      visitors: "/api/visitors",
       categories: "/api/categories",
       articles: "/api/articles",
       projects: "/api/projects",
+      search: "/api/search",
+      tags: "/api/tags",
+      trash: "/api/trash",
+      media: "/api/media",
       comments: "/api/articles/:id/comments",
       health: "/health",
     },
@@ -1472,6 +6093,7 @@ app.get("/health", (req, res) => {
     environment: process.env.NODE_ENV || "development",
     database:
       mongoose.connection.readyState === 1 ? "connected" : "disconnected",
+    storage: mediaStorage.name,
   };
 
   const statusCode = mongoose.connection.readyState === 1 ? 200 : 503;
@@ -1540,7 +6162,7 @@ app.use((err, req, res, next) => {
     });
   }
 
-  // JWT errors (if you add authentication later)
+  // JWT errors
   if (err.name === "JsonWebTokenError") {
     return res.status(401).json({
       success: false,